@@ -5,6 +5,7 @@ var _ = require('lodash')
   , middleware = require('./index')
   , logger = require('dodo/logger')
   , HttpError = require('dodo/errors').HTTPError
+  , ValidationError = require('dodo/errors').ValidationError
   ;
 
 var mockApp = {
@@ -112,6 +113,14 @@ describe('error-handlers express middleware', function () {
     expect(mockLogger.logs).to.have.length(1);
   });
 
+  it('should render a ValidationError with a message per field', function () {
+    var theError = new ValidationError({'body.name': 'is required'});
+    mockApp.expressHandler(theError, mockReq, mockRes, null);
+    expect(mockRes.lastStatus).to.be(400);
+    expect(mockRes.lastErr.name).to.be('Bad Request');
+    expect(mockRes.lastErr.data).to.eql({'body.name': 'is required'});
+  });
+
   it('should parse sqlite unique violation error', function () {
     var theError = new Error('SQLITE_CONSTRAINT: UNIQUE diipadaa dappa huh.hah.hei');
     theError.errno = 19;
@@ -0,0 +1,148 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , ValidationError = require('dodo/errors').ValidationError
+  , inject = require('./inject');
+
+var METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Headers of the batch request that describe the batch request itself and are not copied to
+// the items. The responses of the items are not compressed since the batch response can be.
+var OWN_HEADERS = [
+  'content-length', 'content-type', 'content-encoding', 'transfer-encoding',
+  'connection', 'expect', 'upgrade', 'accept-encoding'
+];
+
+/**
+ * Creates an express handler that runs a batch of requests through the application and
+ * responds with all of their responses.
+ *
+ * The request body is an array of `{method, path, body, headers}` objects. Each item is sent
+ * through the whole middleware stack using `inject` with the headers of the batch request,
+ * like the session token and cookies, so the items are authenticated just like separate
+ * requests would be. The headers of an item override the headers of the batch request.
+ *
+ * The response is an array of `{status, headers, body}` objects in the order of the items.
+ * The status of the batch response is 200 even if some of the items fail.
+ *
+ * @param {express.Application} app
+ * @param {Object} options
+ * @param {String} options.path
+ *    Path of the batch endpoint. Items can't target it.
+ * @param {Boolean} options.parallel
+ *    If true, up to `options.concurrency` items are run at the same time. Otherwise the
+ *    items are run one after another.
+ * @param {Number} options.concurrency
+ * @param {Number} options.maxItems
+ * @returns {function(Request, Response, function)}
+ */
+function createBatchHandler(app, options) {
+  return function (req, res, next) {
+    Promise.try(function () {
+      var items = validateItems(req.body, options);
+      var headers = _.omit(req.headers, OWN_HEADERS);
+      var runItem = function (item) {
+        return runBatchItem(app, req, headers, item);
+      };
+
+      if (options.parallel) {
+        return Promise.map(items, runItem, {concurrency: options.concurrency});
+      } else {
+        return Promise.mapSeries(items, runItem);
+      }
+    }).then(function (responses) {
+      res.json(responses);
+    }).catch(next);
+  };
+}
+
+module.exports = {
+  createBatchHandler: createBatchHandler
+};
+
+/**
+ * @private
+ */
+function runBatchItem(app, req, headers, item) {
+  var itemHeaders = _.mapKeys(item.headers, function (value, name) {
+    return name.toLowerCase();
+  });
+
+  return inject(app, {
+    method: item.method || 'GET',
+    url: item.path,
+    headers: _.assign({}, headers, itemHeaders),
+    body: item.body,
+    remoteAddress: req.connection && req.connection.remoteAddress
+  }).then(function (response) {
+    return {
+      status: response.statusCode,
+      headers: response.headers,
+      body: response.body
+    };
+  }, function (err) {
+    // Only happens if the response could not be read. Errors of the routes are normal responses.
+    return {
+      status: 500,
+      headers: {},
+      body: {error: err.message}
+    };
+  });
+}
+
+/**
+ * @private
+ * @returns {Array.<{method:String, path:String, body:*, headers:Object}>}
+ */
+function validateItems(items, options) {
+  if (!_.isArray(items)) {
+    throw new ValidationError({body: 'must be an array of requests'});
+  }
+
+  if (items.length > options.maxItems) {
+    throw new ValidationError({body: 'must not contain more than ' + options.maxItems + ' requests'});
+  }
+
+  var errors = {};
+
+  _.forEach(items, function (item, index) {
+    var key = 'body.' + index;
+
+    if (!_.isPlainObject(item)) {
+      errors[key] = 'must be an object';
+      return;
+    }
+
+    if (!_.isNil(item.method) && !_.includes(METHODS, String(item.method).toUpperCase())) {
+      errors[key + '.method'] = 'must be one of ' + METHODS.join(', ');
+    }
+
+    if (!_.isString(item.path) || !_.startsWith(item.path, '/')) {
+      errors[key + '.path'] = 'must be an absolute path';
+    } else if (routePath(item.path) === routePath(options.path)) {
+      errors[key + '.path'] = 'must not be the batch endpoint';
+    }
+
+    if (!_.isNil(item.headers) && !_.isPlainObject(item.headers)) {
+      errors[key + '.headers'] = 'must be an object';
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new ValidationError(errors);
+  }
+
+  return items;
+}
+
+/**
+ * Normalizes a path the way express matches it to routes: case insensitively and with an
+ * optional trailing slash.
+ *
+ * @private
+ */
+function routePath(requestPath) {
+  var pathname = requestPath.split(/[?#]/)[0].toLowerCase();
+  return pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+}
@@ -1,11 +1,29 @@
 "use strict";
 
 var _ = require('lodash')
+  , fs = require('fs')
   , path = require('path')
   , color = require('cli-color')
   , express = require('express')
+  , bodyParser = require('body-parser')
   , multiRequire = require('dodo/utils').multiRequire
-  , Router = require('./router/Router');
+  , log = require('dodo/logger').getLogger('dodo-core-features.router')
+  , openApi = require('./router/open-api')
+  , conflicts = require('./router/conflicts')
+  , methodNotAllowed = require('./router/methodNotAllowed')
+  , inject = require('./inject')
+  , batch = require('./batch')
+  , webSockets = require('./router/webSockets')
+  , Router = require('./router/Router')
+  , Result = require('./router/Result')
+  , ResponseCache = require('./router/ResponseCache')
+  , IdempotencyCache = require('./router/IdempotencyCache')
+  , MemoryCacheStore = require('./stores/MemoryCacheStore')
+  , RedisCacheStore = require('./stores/RedisCacheStore')
+  , RateLimiter = require('./router/RateLimiter')
+  , CounterStore = require('./stores/CounterStore')
+  , MemoryCounterStore = require('./stores/MemoryCounterStore')
+  , RedisCounterStore = require('./stores/RedisCounterStore');
 
 /**
  * Registers all routes declared in modules found in `config.routePaths`.
@@ -36,7 +54,9 @@ var _ = require('lodash')
  * for paths.
  *
  * The modules can optionally export a `rootPath` property. If `rootPath` is given all routes in that
- * module will be relative to that path.
+ * module will be relative to that path. Modules with the same `rootPath` share an express router,
+ * but each module gets its own `Router` group: middleware and auth handlers installed using
+ * `router.use` and `router.auth` only apply to the routes of the module that installed them.
  *
  * For example you have a following file in one of the `config.routePaths`:
  *
@@ -51,6 +71,18 @@ var _ = require('lodash')
  *
  * Now your server will answer 'awesome' to a GET request to path /api/v1/awesome.
  *
+ * Upgrade requests of the application's HTTP server (`app.server`) are dispatched to the routes
+ * created using `Router#ws`.
+ *
+ * In the development profile the route modules are watched for changes. When a module changes,
+ * it is required again and the routers of its `rootPath` are rebuilt by calling all modules of
+ * that `rootPath` again. Only the changed module is removed from the require cache. Adding new
+ * route modules or changing the `rootPath` of a module still requires a restart.
+ *
+ * Note that the module functions of the `rootPath` are called again on every reload. Side effects
+ * of the module functions, like timers or listeners added to `app`, are not undone and pile up.
+ * Keep such side effects out of the module functions or guard them against being run twice.
+ *
  * @see Router#get for more examples on how to define routes.
  *
  * @param {object} app
@@ -61,21 +93,213 @@ var _ = require('lodash')
  * @param {Array.<String>} config.routePaths
  *    `routePaths` is an array of path patterns from which the router files are searched
  *    The patterns can be anything supported by node-glob.
+ *    Registering the same method and path twice for a `rootPath` fails the startup (only a warning
+ *    is logged in development). Static routes shadowed by earlier parameterized routes, like
+ *    `/users/me` registered after `/users/:id`, are warned about.
  *
  * @param {function(req, transaction)} config.defaultAuthHandler
  *    If given, all routes that don't declare their own authentication are authenticated
  *    using this function. The function should return true (or a promise that is resolved
  *    to true) to allow access and false otherwise. If the defaultAuthHandler is given,
  *    a route can still be made public by calling the `.public()` method of the `Route`.
+ *    The `transaction` is only given for routes that use `Route#transactional`.
+ *
+ * @param {Object|function(req)} config.transactionProvider
+ *    Starts the per-request transactions of routes that use `Route#transactional`. Anything with
+ *    a knex compatible `transaction(container)` method will do, like a knex instance. Can also be
+ *    a function that returns one for a request.
  *
  * @param {Number} config.unauthenticatedStatusCode
  *    If given, respond with this status code when there is no user associated with the
  *    request, and the route requires authentication. If missing, the default is 401.
+ *    Users that are refused by the auth handlers always get 403.
+ *
+ * @param {String} config.authenticateChallenge
+ *    Value of the `WWW-Authenticate` header of 401 responses. Defaults to 'Token'.
+ *
+ * @param {Object.<String, function(user, resource, req)>} config.policies
+ *    Authorization policies keyed by permission name. Routes require a permission using
+ *    `Route#can`. A policy returns true (or a promise that is resolved to true) to allow access.
+ *
+ * @param {function(user)} config.roleResolver
+ *    Returns the array of roles of a user for `Route#roles`. By default `user.roles` or
+ *    `user.role` is used.
+ *
+ * @param {Number} config.invalidParamStatusCode
+ *    Status code sent when a path parameter declared using `Route#param` cannot be parsed.
+ *    Defaults to 400. Set to 404 to treat such paths as not found.
+ *
+ * @param {Object.<String, function(*, Request):(String|Buffer)>} config.serializers
+ *    Additional serializers keyed by media type. Objects returned from route handlers are
+ *    serialized using the serializer that best matches the request's `Accept` header.
+ *    JSON, CSV, XML and NDJSON serializers are built in.
+ *
+ * @param {{storeClass:function, storeOptions:Object}} config.cache
+ *    Store for the responses of routes that use `Route#cache`. `config.cache.storeClass` is
+ *    instantiated with `config.cache.storeOptions` just like the session store of the
+ *    `token-session` feature. `MemoryCacheStore` and `RedisCacheStore` are provided by this
+ *    feature. Defaults to a `MemoryCacheStore`. Cached responses can be invalidated using the
+ *    `invalidateCache` method of the `Router` or this feature.
+ *
+ * @param {{storeClass:function, storeOptions:Object}} config.idempotency
+ *    Store for the responses of routes that use `Route#idempotent`. Configured like `config.cache`
+ *    and defaults to a `MemoryCacheStore`. Use a shared store like `RedisCacheStore` when the
+ *    application runs in several processes. Note that a `MemoryCacheStore` may drop responses
+ *    when it is full.
+ *
+ * @param {Object} config.rateLimit
+ *    Store and default limit for `Route#rateLimit`. `config.rateLimit.storeClass` must be a subclass
+ *    of `CounterStore` and is instantiated with `config.rateLimit.storeOptions`. Defaults to
+ *    `MemoryCounterStore`. If `config.rateLimit.max` is given, all routes are limited to `max`
+ *    requests in `config.rateLimit.windowSeconds` (defaults to 60) unless they declare their
+ *    own limit. `config.rateLimit.key` can be used to change how clients are identified.
+ *
+ * @param {Number} config.timeout
+ *    Default timeout in milliseconds for handling a request. Requests that are not handled in time
+ *    are cancelled and answered with 503. Routes can override this using `Route#timeout`.
+ *
+ * @param {Object} config.batch
+ *    If given, `POST config.batch.path` (defaults to '/batch') accepts an array of
+ *    `{method, path, body, headers}` requests, runs them through the application with the
+ *    session and other headers of the batch request and responds with an array of
+ *    `{status, headers, body}` responses. The requests are run one after another unless
+ *    `config.batch.parallel` is true, in which case up to `config.batch.concurrency` (defaults
+ *    to 5) are run at the same time. Batches of more than `config.batch.maxItems` (defaults
+ *    to 20) requests are refused. Note that requests run in parallel that modify the session
+ *    overwrite each other's changes.
+ *
+ * @param {Object} config.openApi
+ *    If given, an OpenAPI 3 document describing all registered routes is served as JSON from
+ *    `config.openApi.path` (defaults to '/openapi.json'). `config.openApi.info` is used as the
+ *    `info` object of the document and `config.openApi.tokenHeader` as the name of the session
+ *    token header (defaults to 'X-Auth-Token'). The document can also be created using the
+ *    `openApiDocument` method of this feature:
+ *
+ * ```js
+ * var document = app.feature('route').openApiDocument();
+ * ```
  */
 module.exports = function (app, config) {
   var routeModules
     , routers = {}
-    , testing = app.config.profile === 'testing';
+    , namedRoutes = {}
+    , openApiConfig = config.openApi || {}
+    , cacheConfig = config.cache || {}
+    , responseCache = new ResponseCache(new (cacheConfig.storeClass || MemoryCacheStore)(cacheConfig.storeOptions))
+    , idempotencyConfig = config.idempotency || {}
+    , idempotencyCache = new IdempotencyCache(new (idempotencyConfig.storeClass || MemoryCacheStore)(idempotencyConfig.storeOptions))
+    , rateLimitConfig = config.rateLimit || {}
+    , rateLimiter = new RateLimiter(new (rateLimitConfig.storeClass || MemoryCounterStore)(rateLimitConfig.storeOptions))
+    , defaultRateLimit = _.isNumber(rateLimitConfig.max) ? _.omit(rateLimitConfig, ['storeClass', 'storeOptions']) : null
+    , batchConfig = _.defaults({}, config.batch, {path: '/batch', parallel: false, concurrency: 5, maxItems: 20})
+    , testing = app.config.profile === 'testing'
+    , development = app.config.profile === 'development';
+
+  /**
+   * Creates an OpenAPI 3 document of all routes registered using this feature.
+   *
+   * @param {Object=} info
+   *    The `info` object of the document. Defaults to `config.openApi.info`.
+   * @returns {Object}
+   */
+  this.openApiDocument = function (info) {
+    return openApi.buildDocument(_.values(routers), {
+      info: info || openApiConfig.info,
+      tokenHeader: openApiConfig.tokenHeader
+    });
+  };
+
+  /**
+   * Lists the authorization requirements of all routes registered using this feature.
+   *
+   * @returns {Array.<{method:String, path:String, public:Boolean, roles:Array.<String>, permissions:Array.<String>}>}
+   */
+  this.authorizations = function () {
+    return _.flatMap(_.values(routers), function (router) {
+      return _.map(_.filter(router.routes, 'handlerFunc'), function (route) {
+        return {
+          method: route.method,
+          path: _.isString(route.path) ? path.posix.join(route.rootPath, route.path) : route.path,
+          public: !!route._public,
+          roles: route.requiredRoles,
+          permissions: route.requiredPermissions
+        };
+      });
+    });
+  };
+
+  /**
+   * Builds a URL path for a route named using `Route#name`.
+   *
+   * @see Router#url
+   * @param {String} name
+   * @param {Object=} params
+   * @param {Object=} query
+   * @returns {String}
+   */
+  this.url = function (name, params, query) {
+    var route = namedRoutes[name];
+
+    if (!route) {
+      throw new Error('No route named "' + name + '"');
+    }
+
+    return route.url(params, query);
+  };
+
+  /**
+   * Removes a response cached using `Route#cache` from the cache.
+   *
+   * @param {String} key
+   * @returns {Promise}
+   */
+  this.invalidateCache = function (key) {
+    return responseCache.invalidate(key);
+  };
+
+  /**
+   * Sends a simulated request through the application without opening a socket.
+   * Also available as `app.inject`.
+   *
+   * @see inject.js
+   * @param {{method:String, url:String, headers:Object, body:*}} options
+   * @returns {Promise.<{statusCode:Number, headers:Object, body:*}>}
+   */
+  this.inject = app.inject = function (options) {
+    return inject(app, options);
+  };
+
+  /**
+   * Reloads a route module and rebuilds the router of its `rootPath`. Called automatically in
+   * the development profile when a route module changes. The old routes are kept if the module
+   * fails to load.
+   *
+   * @param {String} filePath
+   *    Path of a route module found in `config.routePaths`.
+   */
+  this.reloadRouteModule = function (filePath) {
+    if (!_.some(routeModules, {filePath: filePath})) {
+      throw new Error(filePath + ' is not a route module');
+    }
+
+    reloadRouteModule(filePath);
+  };
+
+  if (app.server) {
+    app.server.on('upgrade', webSockets.createUpgradeHandler(app, function () {
+      return _.values(routers);
+    }));
+  }
+
+  if (config.batch) {
+    app.post(batchConfig.path, bodyParser.json(), batch.createBatchHandler(app, batchConfig));
+  }
+
+  if (config.openApi) {
+    app.get(openApiConfig.path || '/openapi.json', _.bind(function (req, res) {
+      res.json(this.openApiDocument());
+    }, this));
+  }
 
   routeModules = _.reduce(config.routePaths, function (allModules, routePath) {
     var modules = multiRequire(routePath).filterModule(function (module) {
@@ -85,58 +309,243 @@ module.exports = function (app, config) {
   }, []);
 
   _.forEach(routeModules, function (module) {
-    var rootPath = module.module.rootPath || '/'
-      , expressRouter
-      , router = routers[rootPath];
+    var rootPath = rootPathOf(module);
 
-    if (!router) {
-      expressRouter = express.Router();
-      router = new Router(expressRouter, config.defaultAuthHandler, config.unauthenticatedStatusCode);
+    if (!routers[rootPath]) {
+      routers[rootPath] = createRouter(rootPath);
 
-      if (!testing) {
-        router = addLoggingToRouter(router, rootPath);
+      if (development) {
+        // Route modules are reloaded on change in development. Always dispatch
+        // to the latest router of the root path.
+        app.use(rootPath, function (req, res, next) {
+          routers[rootPath].expressRouter(req, res, next);
+        });
+      } else {
+        app.use(rootPath, routers[rootPath].expressRouter);
       }
-
-      app.use(rootPath, expressRouter);
-      routers[rootPath] = router;
     }
   });
 
+  // Answers 405 and OPTIONS only after the request has been offered to all routers.
+  app.use(methodNotAllowed.createMiddleware(function () {
+    return _.values(routers);
+  }));
+
   // Call the router functions only after all the features have been initialized and the
   // application is otherwise ready.
   app.on('appReady', function () {
-    _.forEach(routeModules, function (module) {
-      var routeModule = _.isFunction(module.module) ? module.module : module.module.default;
-      var rootPath = routeModule.rootPath || '/';
+    _.forEach(routeModules, registerRoutes);
+
+    _.forEach(routers, function (router) {
+      checkConflicts(router, development);
+    });
+
+    if (development) {
+      _.forEach(routeModules, function (module) {
+        watchRouteModule(module.filePath);
+      });
+    }
+  });
+
+  /**
+   * @private
+   */
+  function createRouter(rootPath) {
+    var router = new Router(express.Router(), config.defaultAuthHandler, config.unauthenticatedStatusCode, {
+      rootPath: rootPath,
+      serializers: config.serializers,
+      responseCache: responseCache,
+      idempotencyCache: idempotencyCache,
+      rateLimiter: rateLimiter,
+      rateLimit: defaultRateLimit,
+      timeout: config.timeout,
+      authenticateChallenge: config.authenticateChallenge,
+      policies: config.policies,
+      roleResolver: config.roleResolver,
+      namedRoutes: namedRoutes,
+      invalidParamStatusCode: config.invalidParamStatusCode,
+      transactionProvider: config.transactionProvider
+    });
+
+    if (!testing) {
+      router = addLoggingToRouter(router, rootPath);
+    }
+
+    return router;
+  }
 
-      if (!testing) {
-        logRegisteringRoutes(path.join(rootPath, module.fileName + module.fileExt));
+  /**
+   * @private
+   */
+  function registerRoutes(module) {
+    var rootPath = rootPathOf(module);
+    var router = routers[rootPath];
+    var routeCount = router.routes.length;
+
+    if (!testing) {
+      logRegisteringRoutes(path.join(rootPath, module.fileName + module.fileExt));
+    }
+
+    // Each module gets its own group so that `router.use` and `router.auth` calls of a module
+    // don't affect the routes of the other modules of the same `rootPath`.
+    moduleFunction(module)(router.group(''), app);
+
+    _.forEach(router.routes.slice(routeCount), function (route) {
+      route.sourceFile = module.filePath;
+    });
+  }
+
+  /**
+   * @private
+   */
+  function watchRouteModule(filePath) {
+    var timer = null;
+
+    fs.watchFile(filePath, {persistent: false, interval: 500}, function (current, previous) {
+      if (current.mtime.getTime() === previous.mtime.getTime()) {
+        return;
       }
 
-      routeModule(routers[rootPath], app);
+      // Editors often write a file in several steps.
+      clearTimeout(timer);
+      timer = setTimeout(function () {
+        reloadRouteModule(filePath);
+      }, 100);
     });
-  });
+  }
+
+  /**
+   * Re-requires a changed route module and rebuilds the router of its root path by running
+   * all route modules of that root path again. The old router is kept if the reload fails.
+   *
+   * @private
+   */
+  function reloadRouteModule(filePath) {
+    var index = _.findIndex(routeModules, {filePath: filePath});
+    var oldModule = routeModules[index];
+    var rootPath = rootPathOf(oldModule);
+    var oldRouter = routers[rootPath];
+    var oldNamedRoutes = _.clone(namedRoutes);
+    var newModule;
+
+    try {
+      delete require.cache[require.resolve(filePath)];
+      newModule = _.assign({}, oldModule, {module: require(filePath)});
+
+      if (!moduleFunction(newModule)) {
+        throw new Error('Route module must export a function');
+      }
+
+      if (rootPathOf(newModule) !== rootPath) {
+        log.warning('The rootPath of ' + filePath + ' changed. Restart the server to move its routes.');
+        return;
+      }
+
+      // The routes of the old router must release their names for the new routes.
+      _.forEach(oldRouter.routes, function (route) {
+        if (route.routeName && namedRoutes[route.routeName] === route) {
+          delete namedRoutes[route.routeName];
+        }
+      });
+
+      routers[rootPath] = createRouter(rootPath);
+      routeModules[index] = newModule;
+
+      _.forEach(routeModules, function (module) {
+        if (rootPathOf(module) === rootPath) {
+          registerRoutes(module);
+        }
+      });
+
+      checkConflicts(routers[rootPath], true);
+      log.info('Reloaded routes of ' + rootPath + ' after a change in ' + filePath);
+    } catch (err) {
+      routers[rootPath] = oldRouter;
+      routeModules[index] = oldModule;
+      _.forEach(_.keys(namedRoutes), function (name) {
+        delete namedRoutes[name];
+      });
+      _.assign(namedRoutes, oldNamedRoutes);
+      log.error({ error: err }, 'Failed to reload routes from ' + filePath + '. Keeping the old routes.');
+    }
+  }
 };
 
 module.exports.Router = Router;
+module.exports.Result = Result;
+module.exports.inject = inject;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.RedisCacheStore = RedisCacheStore;
+module.exports.CounterStore = CounterStore;
+module.exports.MemoryCounterStore = MemoryCounterStore;
+module.exports.RedisCounterStore = RedisCounterStore;
 
 /**
  * @private
  */
 function addLoggingToRouter(router, rootPath) {
-  _.forEach(['get', 'put', 'post', 'delete', 'patch'], function (verb) {
+  _.forEach(['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'all', 'sse', 'ws'], function (verb) {
     var origMethod = router[verb];
-    // Add logging to the route method.
+    // Add logging to the route method. The path of the created route includes the prefix of
+    // the group the route was created in. The route is logged once its handler is given since
+    // only then it's known whether the route is deprecated.
     router[verb] = function () {
-      var requestPath = path.join(rootPath, arguments[0]);
-      logRegisteringRoute(verb, requestPath);
-      return origMethod.apply(this, arguments);
+      var route = origMethod.apply(this, arguments);
+      var origHandler = route.handler;
+
+      route.handler = function () {
+        var ret = origHandler.apply(this, arguments);
+        logRegisteringRoute(verb, _.isString(route.path) ? path.join(rootPath, route.path) : String(route.path), route.deprecation);
+        return ret;
+      };
+
+      return route;
     };
   });
 
   return router;
 }
 
+/**
+ * @private
+ */
+function moduleFunction(module) {
+  return _.isFunction(module.module) ? module.module : module.module.default;
+}
+
+/**
+ * @private
+ */
+function rootPathOf(module) {
+  return moduleFunction(module).rootPath || module.module.rootPath || '/';
+}
+
+/**
+ * Fails if two routes have the same method and path. In development mode only warns so
+ * that the developer can fix the routes without restarting. Routes shadowed by earlier
+ * parameterized routes are always only warned about.
+ *
+ * @private
+ */
+function checkConflicts(router, development) {
+  var found = conflicts.findConflicts(router.routes);
+
+  _.forEach(found.duplicates, function (duplicates) {
+    var message = 'Conflicting routes: ' + _.map(duplicates, conflicts.describeRoute).join(' and ')
+      + '. Only the first one is ever called.';
+
+    if (!development) {
+      throw new Error(message);
+    }
+    log.warning(message);
+  });
+
+  _.forEach(found.shadowed, function (shadowed) {
+    log.warning('Route ' + conflicts.describeRoute(shadowed.route) + ' is shadowed by '
+      + conflicts.describeRoute(shadowed.shadowedBy) + ' that was registered before it.');
+  });
+}
+
 /**
  * @private
  */
@@ -147,9 +556,15 @@ function logRegisteringRoutes(path) {
 /**
  * @private
  */
-function logRegisteringRoute(verb, path) {
-  console.log(' '
+function logRegisteringRoute(verb, path, deprecation) {
+  var args = [' '
     , color.white('registering route')
     , color.magenta((verb.toUpperCase() + '   ').substring(0, 6))
-    , color.cyan(path));
+    , color.cyan(path)];
+
+  if (deprecation) {
+    args.push(color.yellow('deprecated' + (deprecation.sunset ? ', sunset ' + deprecation.sunset.toISOString().substring(0, 10) : '')));
+  }
+
+  console.log.apply(console, args);
 }
@@ -0,0 +1,175 @@
+"use strict";
+
+var _ = require('lodash')
+  , http = require('http')
+  , stream = require('stream')
+  , Promise = require('bluebird');
+
+/**
+ * Sends a simulated request through the middleware stack of an express application without
+ * opening a socket. All middleware, including the ones installed by other features like
+ * `token-session`, `cors` and `error-handler`, handle the request just like a real one.
+ *
+ * ```js
+ * app.inject({
+ *   method: 'POST',
+ *   url: '/api/v1/users?dryRun=true',
+ *   headers: {'X-Auth-Token': token},
+ *   body: {name: 'Jennifer'}
+ * }).then(function (res) {
+ *   expect(res.statusCode).to.equal(201);
+ *   expect(res.body.name).to.equal('Jennifer');
+ * });
+ * ```
+ *
+ * @param {express.Application} app
+ * @param {Object} options
+ * @param {String=} options.method
+ *    Defaults to 'GET'.
+ * @param {String} options.url
+ *    Path and query string of the request.
+ * @param {Object.<String, String>=} options.headers
+ * @param {(Object|String|Buffer)=} options.body
+ *    Objects are sent as JSON.
+ * @param {String=} options.remoteAddress
+ *    Defaults to '127.0.0.1'.
+ * @returns {Promise.<{statusCode:Number, headers:Object, body:*}>}
+ *    Resolved when the response has been sent. The header names are lower case. The body is
+ *    parsed if the response is JSON and a string otherwise.
+ */
+function inject(app, options) {
+  return new Promise(function (resolve, reject) {
+    var socket = createSocket(options.remoteAddress || '127.0.0.1');
+    var req = createRequest(socket, options);
+    var res = new http.ServerResponse(req);
+    var chunks = [];
+
+    res.assignSocket(socket);
+    res.shouldKeepAlive = false;
+
+    captureWrites(res, chunks);
+
+    res.on('finish', function () {
+      res.detachSocket(socket);
+
+      try {
+        resolve({
+          statusCode: res.statusCode,
+          // `getHeaders` is missing before Node 7.7.
+          headers: res.getHeaders ? res.getHeaders() : res._headers,
+          body: parseBody(Buffer.concat(chunks), res.getHeader('content-type'))
+        });
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    app.handle(req, res);
+  });
+}
+
+module.exports = inject;
+
+/**
+ * A writable stream that discards the raw HTTP output of the response.
+ *
+ * @private
+ */
+function createSocket(remoteAddress) {
+  var socket = new stream.Writable({
+    write: function (chunk, encoding, callback) {
+      callback();
+    }
+  });
+
+  socket.remoteAddress = remoteAddress;
+  socket.encrypted = false;
+  socket.setTimeout = _.noop;
+  socket.setNoDelay = _.noop;
+  socket.setKeepAlive = _.noop;
+  socket.destroySoon = _.noop;
+
+  return socket;
+}
+
+/**
+ * @private
+ */
+function createRequest(socket, options) {
+  var req = new http.IncomingMessage(socket);
+  var body = options.body;
+  var headers = _.mapKeys(options.headers, function (value, name) {
+    return name.toLowerCase();
+  });
+
+  if (_.isNil(body)) {
+    body = null;
+  } else if (!_.isString(body) && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    headers['content-type'] = headers['content-type'] || 'application/json';
+  }
+
+  if (body !== null) {
+    body = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+    headers['content-length'] = String(body.length);
+  }
+
+  req.method = (options.method || 'GET').toUpperCase();
+  req.url = options.url || '/';
+  req.headers = _.defaults(headers, {host: 'localhost'});
+  req.rawHeaders = _.flatten(_.toPairs(req.headers));
+  req.httpVersion = '1.1';
+  req.httpVersionMajor = 1;
+  req.httpVersionMinor = 1;
+
+  if (body !== null) {
+    req.push(body);
+  }
+  req.push(null);
+  req.complete = true;
+
+  return req;
+}
+
+/**
+ * Records everything written to the response body.
+ *
+ * @private
+ */
+function captureWrites(res, chunks) {
+  var write = res.write;
+  var end = res.end;
+
+  res.write = function (chunk, encoding) {
+    record(chunk, encoding);
+    return write.apply(this, arguments);
+  };
+
+  res.end = function (chunk, encoding) {
+    if (!_.isFunction(chunk)) {
+      record(chunk, encoding);
+    }
+    return end.apply(this, arguments);
+  };
+
+  function record(chunk, encoding) {
+    if (_.isNil(chunk) || res.req.method === 'HEAD') {
+      return;
+    }
+
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, _.isString(encoding) ? encoding : 'utf8'));
+  }
+}
+
+/**
+ * @private
+ */
+function parseBody(buffer, contentType) {
+  var body = buffer.toString('utf8');
+
+  if (body && /^application\/(.+\+)?json/i.test(contentType || '')) {
+    return JSON.parse(body);
+  }
+
+  return body;
+}
@@ -0,0 +1,211 @@
+"use strict";
+
+var _ = require('lodash')
+  , util = require('util')
+  , EventEmitter = require('events').EventEmitter;
+
+/**
+ * Server-Sent Events channel given to the handlers of `Router#sse` routes.
+ *
+ * The response headers are sent when the first event is sent or when the handler's promise is
+ * resolved. After that a comment is sent every `heartbeatSeconds` to keep proxies from closing
+ * an idle connection. The channel emits `close` when it is closed by the server or the client.
+ *
+ * ```js
+ * router
+ *   .sse('/notifications')
+ *   .handler(function (req, channel) {
+ *     var unsubscribe = notifications.subscribe(req.user.id, function (notification) {
+ *       channel.send('notification', notification, notification.id);
+ *     });
+ *
+ *     channel.on('close', unsubscribe);
+ *   });
+ * ```
+ *
+ * @constructor
+ * @param {Request} req
+ * @param {Response} res
+ * @param {{heartbeatSeconds:Number, retryMs:Number}=} options
+ */
+function EventChannel(req, res, options) {
+  EventEmitter.call(this);
+  options = options || {};
+
+  var self = this;
+
+  /**
+   * @type {Request}
+   */
+  this.req = req;
+  /**
+   * @type {Response}
+   */
+  this.res = res;
+  /**
+   * Id of the last event the client received before reconnecting. Null for new clients.
+   * Use this to send the events the client missed.
+   *
+   * @type {String}
+   */
+  this.lastEventId = _.get(req, ['headers', 'last-event-id']) || null;
+  /**
+   * @type {Boolean}
+   */
+  this.opened = false;
+  /**
+   * @type {Boolean}
+   */
+  this.closed = false;
+  /**
+   * @type {Number}
+   */
+  this.heartbeatMs = _.isNil(options.heartbeatSeconds) ? 15000 : options.heartbeatSeconds * 1000;
+  /**
+   * Reconnection delay sent to the client.
+   *
+   * @type {Number}
+   */
+  this.retryMs = options.retryMs || null;
+  /**
+   * @type {*}
+   */
+  this.heartbeatTimer_ = null;
+
+  res.on('close', function () {
+    self.close_();
+  });
+}
+
+util.inherits(EventChannel, EventEmitter);
+
+/**
+ * Sends the response headers. Called automatically.
+ */
+EventChannel.prototype.open = function () {
+  var self = this;
+
+  if (this.opened || this.closed) {
+    return;
+  }
+
+  this.opened = true;
+  this.res.status(200);
+  this.res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  this.write_(this.retryMs ? 'retry: ' + this.retryMs + '\n\n' : ': connected\n\n');
+
+  if (this.heartbeatMs) {
+    this.heartbeatTimer_ = setInterval(function () {
+      self.comment('heartbeat');
+    }, this.heartbeatMs);
+  }
+};
+
+/**
+ * Sends an event.
+ *
+ * @param {String=} event
+ *    Name of the event. The client receives unnamed events as `message` events.
+ * @param {*} data
+ *    Anything but strings is sent as JSON.
+ * @param {(String|Number)=} id
+ *    The client sends the id of the last event it received in the `Last-Event-ID` header
+ *    when it reconnects.
+ * @returns {Boolean}
+ *    False if the channel is closed or the client is not reading fast enough. Wait for
+ *    the `drain` event of the response in the latter case.
+ */
+EventChannel.prototype.send = function (event, data, id) {
+  if (this.closed) {
+    return false;
+  }
+
+  var message = '';
+  var text = _.isString(data) ? data : JSON.stringify(data);
+
+  if (!_.isNil(id)) {
+    message += 'id: ' + singleLine(id) + '\n';
+  }
+
+  if (event) {
+    message += 'event: ' + singleLine(event) + '\n';
+  }
+
+  _.forEach(String(text).split(/\r\n|\r|\n/), function (line) {
+    message += 'data: ' + line + '\n';
+  });
+
+  this.open();
+  return this.write_(message + '\n');
+};
+
+/**
+ * Sends a comment. Clients ignore comments.
+ *
+ * @param {String} text
+ * @returns {Boolean}
+ */
+EventChannel.prototype.comment = function (text) {
+  if (this.closed) {
+    return false;
+  }
+
+  this.open();
+  return this.write_(': ' + singleLine(text) + '\n\n');
+};
+
+/**
+ * Ends the response. Note that `EventSource` clients reconnect automatically unless
+ * they are closed by the client.
+ */
+EventChannel.prototype.close = function () {
+  if (this.closed) {
+    return;
+  }
+
+  this.open();
+  this.res.end();
+  this.close_();
+};
+
+/**
+ * @private
+ */
+EventChannel.prototype.write_ = function (text) {
+  var flushed = this.res.write(text);
+
+  // Compression middleware buffers the output unless it's flushed.
+  if (_.isFunction(this.res.flush)) {
+    this.res.flush();
+  }
+
+  return flushed;
+};
+
+/**
+ * @private
+ */
+EventChannel.prototype.close_ = function () {
+  if (this.closed) {
+    return;
+  }
+
+  this.closed = true;
+  clearInterval(this.heartbeatTimer_);
+  this.emit('close');
+};
+
+module.exports = EventChannel;
+
+/**
+ * @private
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]/g, ' ');
+}
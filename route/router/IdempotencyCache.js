@@ -0,0 +1,148 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , util = require('util')
+  , StoreClient = require('./StoreClient')
+  , log = require('dodo/logger').getLogger('dodo-core-features.router');
+
+var KEY_PREFIX = 'idempotency:';
+
+// A claim is released after this long even if the request that made it never finishes,
+// for example because the process died. Used if the claim doesn't give its own time.
+var DEFAULT_PENDING_TTL_SECONDS = 60;
+
+/**
+ * Stores the responses of requests that have an `Idempotency-Key` for `Route#idempotent`.
+ *
+ * A request claims its key before it is handled. The claim is stored as a pending entry that
+ * is replaced by the response once the response has been sent, or removed if the request fails.
+ * Claims of the same process are exclusive. Claims of different processes can race because
+ * the `SessionStore` interface has no atomic operations.
+ *
+ * Unlike `ResponseCache`, the cache fails the request when the store is not available: handling
+ * a retried request twice is worse than refusing it.
+ *
+ * @constructor
+ * @extends StoreClient
+ * @param {SessionStore} store
+ *    A store that implements the `SessionStore` interface. The store's `set` method should accept
+ *    a time-to-live in seconds as the third argument.
+ */
+function IdempotencyCache(store) {
+  StoreClient.call(this, store);
+  /**
+   * Keys claimed by this process.
+   *
+   * @type {Object.<String, Boolean>}
+   */
+  this.claimed_ = {};
+}
+
+util.inherits(IdempotencyCache, StoreClient);
+
+/**
+ * Claims a key for a request.
+ *
+ * @param {String} key
+ * @param {String} fingerprint
+ *    Identifies the content of the request. Requests with the same key must have the same fingerprint.
+ * @param {Number=} pendingTtlSeconds
+ *    How long the claim is kept if the request never completes or releases it. Must be longer
+ *    than the request can take. Defaults to 60 seconds.
+ * @returns {Promise.<{state:String, response:Object}>}
+ *    `state` is 'claimed' if the request should be handled, 'pending' if another request with the
+ *    key is being handled, 'mismatch' if the key was used for a different request and 'done' if
+ *    the response is stored. In the last case `response` is the stored
+ *    `{statusCode, headers, body}`. Rejected if the store is not available.
+ */
+IdempotencyCache.prototype.claim = function (key, fingerprint, pendingTtlSeconds) {
+  var self = this;
+
+  if (!this.connected) {
+    return Promise.reject(new Error('Idempotency store is not connected'));
+  }
+
+  if (this.claimed_[key]) {
+    return Promise.resolve({state: 'pending', response: null});
+  }
+
+  this.claimed_[key] = true;
+
+  return Promise.resolve(this.store.get(KEY_PREFIX + key)).then(function (data) {
+    var entry = data ? JSON.parse(data) : null;
+
+    if (entry && entry.fingerprint !== fingerprint) {
+      return {state: 'mismatch', response: null};
+    } else if (entry && entry.pending) {
+      return {state: 'pending', response: null};
+    } else if (entry) {
+      return {
+        state: 'done',
+        response: {
+          statusCode: entry.statusCode,
+          headers: entry.headers,
+          body: entry.base64 ? Buffer.from(entry.body, 'base64') : entry.body
+        }
+      };
+    }
+
+    var pending = {pending: true, fingerprint: fingerprint};
+    return Promise.resolve(self.store.set(KEY_PREFIX + key, JSON.stringify(pending), pendingTtlSeconds || DEFAULT_PENDING_TTL_SECONDS)).then(function () {
+      return {state: 'claimed', response: null};
+    });
+  }).tap(function (result) {
+    if (result.state !== 'claimed') {
+      delete self.claimed_[key];
+    }
+  }).catch(function (err) {
+    delete self.claimed_[key];
+    throw err;
+  });
+};
+
+/**
+ * Stores the response of a request that claimed its key.
+ *
+ * @param {String} key
+ * @param {String} fingerprint
+ * @param {{statusCode:Number, headers:Object, body:(String|Buffer)}} response
+ * @param {Number} ttlSeconds
+ * @returns {Promise}
+ *    Never rejected. The claim is released if the response can't be stored.
+ */
+IdempotencyCache.prototype.complete = function (key, fingerprint, response, ttlSeconds) {
+  var self = this;
+  var body = _.isNil(response.body) ? null : response.body;
+  var entry = {
+    fingerprint: fingerprint,
+    statusCode: response.statusCode,
+    headers: response.headers,
+    base64: Buffer.isBuffer(body),
+    body: Buffer.isBuffer(body) ? body.toString('base64') : body
+  };
+
+  return Promise.resolve(this.store.set(KEY_PREFIX + key, JSON.stringify(entry), ttlSeconds)).catch(function (err) {
+    log.error({ error: err, key: key }, 'Failed to save an idempotent response');
+    return self.release(key);
+  }).finally(function () {
+    delete self.claimed_[key];
+  });
+};
+
+/**
+ * Releases the claim of a request that failed so that the request can be retried.
+ *
+ * @param {String} key
+ * @returns {Promise}
+ *    Never rejected.
+ */
+IdempotencyCache.prototype.release = function (key) {
+  delete this.claimed_[key];
+
+  return Promise.resolve(this.store.del(KEY_PREFIX + key)).catch(function (err) {
+    log.error({ error: err, key: key }, 'Failed to release an idempotency key');
+  });
+};
+
+module.exports = IdempotencyCache;
@@ -0,0 +1,52 @@
+"use strict";
+
+var Promise = require('bluebird')
+  , util = require('util')
+  , StoreClient = require('./StoreClient')
+  , log = require('dodo/logger').getLogger('dodo-core-features.router');
+
+var KEY_PREFIX = 'rate-limit:';
+
+/**
+ * Counts requests using a `CounterStore`.
+ *
+ * The limiter never fails a request because of the store: requests are allowed when the
+ * store is not connected or fails.
+ *
+ * @constructor
+ * @extends StoreClient
+ * @param {CounterStore} store
+ */
+function RateLimiter(store) {
+  StoreClient.call(this, store);
+}
+
+util.inherits(RateLimiter, StoreClient);
+
+/**
+ * Counts a request.
+ *
+ * @param {String} key
+ * @param {{windowSeconds:Number, max:Number}} options
+ * @returns {Promise.<{limit:Number, remaining:Number, resetSeconds:Number, exceeded:Boolean}>}
+ *    Resolved to null if the request could not be counted.
+ */
+RateLimiter.prototype.consume = function (key, options) {
+  if (!this.connected) {
+    return Promise.resolve(null);
+  }
+
+  return Promise.resolve(this.store.increment(KEY_PREFIX + key, options.windowSeconds)).then(function (counter) {
+    return {
+      limit: options.max,
+      remaining: Math.max(options.max - counter.count, 0),
+      resetSeconds: counter.resetSeconds,
+      exceeded: counter.count > options.max
+    };
+  }).catch(function (err) {
+    log.error({ error: err, key: key }, 'Failed to count a request for rate limiting');
+    return null;
+  });
+};
+
+module.exports = RateLimiter;
@@ -0,0 +1,111 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird');
+
+/**
+ * A database transaction that lives as long as a request.
+ *
+ * The transaction is started using the `transaction(container)` method of the provider just like
+ * knex transactions are. The transaction is committed or rolled back when `commit` or `rollback`
+ * is called. After the first call, `commit` and `rollback` only return the promise of the
+ * first call.
+ *
+ * @constructor
+ * @param {{transaction:function(function(Object):Promise):Promise}} provider
+ *    Anything with a knex compatible `transaction` method, like a knex instance.
+ */
+function RequestTransaction(provider) {
+  /**
+   * @type {{transaction:function}}
+   */
+  this.provider = provider;
+  /**
+   * The transaction object given by the provider. Set by `begin`.
+   *
+   * @type {Object}
+   */
+  this.transaction = null;
+  /**
+   * @type {Boolean}
+   */
+  this.finished = false;
+  /**
+   * @type {Promise}
+   */
+  this.outcome_ = null;
+  /**
+   * Result of the first `commit` or `rollback` call.
+   *
+   * @type {Promise}
+   */
+  this.done_ = null;
+  /**
+   * @type {{resolve:function, reject:function}}
+   */
+  this.container_ = null;
+}
+
+/**
+ * Starts the transaction.
+ *
+ * @returns {Promise.<Object>}
+ *    Resolved to the transaction object once the transaction has been started.
+ */
+RequestTransaction.prototype.begin = function () {
+  var self = this;
+
+  return new Promise(function (resolve, reject) {
+    var containerResult = new Promise(function (resolveContainer, rejectContainer) {
+      self.container_ = {resolve: resolveContainer, reject: rejectContainer};
+    });
+
+    self.outcome_ = Promise.resolve(self.provider.transaction(function (transaction) {
+      self.transaction = transaction;
+      resolve(transaction);
+      return containerResult;
+    }));
+
+    // Fails the `begin` if the transaction could not be started. Does nothing otherwise.
+    self.outcome_.catch(reject);
+  });
+};
+
+/**
+ * @returns {Promise}
+ *    Resolved when the transaction has been committed.
+ */
+RequestTransaction.prototype.commit = function () {
+  if (this.finished || !this.container_) {
+    return this.done_ || Promise.resolve();
+  }
+
+  this.finished = true;
+  this.container_.resolve();
+  this.done_ = this.outcome_.then(_.noop);
+  return this.done_;
+};
+
+/**
+ * @param {Error} error
+ *    The reason for the rollback.
+ * @returns {Promise}
+ *    Resolved when the transaction has been rolled back.
+ */
+RequestTransaction.prototype.rollback = function (error) {
+  if (this.finished || !this.container_) {
+    return this.done_ || Promise.resolve();
+  }
+
+  this.finished = true;
+  this.container_.reject(error);
+  this.done_ = this.outcome_.then(_.noop, function (err) {
+    // The provider rejects with the rollback reason. Other errors are real failures.
+    if (err !== error) {
+      throw err;
+    }
+  });
+  return this.done_;
+};
+
+module.exports = RequestTransaction;
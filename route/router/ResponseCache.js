@@ -0,0 +1,126 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , util = require('util')
+  , StoreClient = require('./StoreClient')
+  , log = require('dodo/logger').getLogger('dodo-core-features.router');
+
+var KEY_PREFIX = 'route-cache:';
+
+/**
+ * Stores serialized route responses to a cache store.
+ *
+ * Each cache key can have several variants, for example one for each negotiated media type.
+ * All variants of a key are stored in a single store entry so that invalidating a key
+ * invalidates all its variants.
+ *
+ * The cache never fails a request: store errors are logged and treated as cache misses.
+ * The cache is bypassed when the store is not connected.
+ *
+ * @constructor
+ * @extends StoreClient
+ * @param {SessionStore} store
+ *    A store that implements the `SessionStore` interface. The store's `set` method should accept
+ *    a time-to-live in seconds as the third argument.
+ */
+function ResponseCache(store) {
+  StoreClient.call(this, store);
+}
+
+util.inherits(ResponseCache, StoreClient);
+
+/**
+ * Fetches a cached response.
+ *
+ * @param {String} key
+ * @param {String} variant
+ * @returns {Promise.<{statusCode:Number, headers:Object, body:(String|Buffer)}>}
+ *    Resolved to null if the response is not cached.
+ */
+ResponseCache.prototype.get = function (key, variant) {
+  return this.getVariants_(key).then(function (variants) {
+    var entry = variants[variant];
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return {
+      statusCode: entry.statusCode,
+      headers: entry.headers,
+      body: entry.base64 ? Buffer.from(entry.body, 'base64') : entry.body
+    };
+  });
+};
+
+/**
+ * Caches a response.
+ *
+ * @param {String} key
+ * @param {String} variant
+ * @param {{statusCode:Number, headers:Object, body:(String|Buffer)}} response
+ * @param {Number} ttlSeconds
+ * @returns {Promise}
+ */
+ResponseCache.prototype.set = function (key, variant, response, ttlSeconds) {
+  var self = this;
+  var now = Date.now();
+
+  return this.getVariants_(key).then(function (variants) {
+    if (!self.connected) {
+      return;
+    }
+
+    // Drop expired variants so that the entry doesn't grow forever.
+    variants = _.omitBy(variants, function (entry) {
+      return entry.expiresAt <= now;
+    });
+
+    variants[variant] = {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      base64: Buffer.isBuffer(response.body),
+      body: Buffer.isBuffer(response.body) ? response.body.toString('base64') : response.body,
+      expiresAt: now + ttlSeconds * 1000
+    };
+
+    var maxExpiresAt = _.max(_.map(variants, 'expiresAt'));
+    return self.store.set(KEY_PREFIX + key, JSON.stringify(variants), Math.ceil((maxExpiresAt - now) / 1000));
+  }).catch(function (err) {
+    log.error({ error: err, key: key }, 'Failed to save a response to the cache');
+  });
+};
+
+/**
+ * Removes all variants of a cached response.
+ *
+ * @param {String} key
+ * @returns {Promise}
+ */
+ResponseCache.prototype.invalidate = function (key) {
+  if (!this.connected) {
+    return Promise.resolve();
+  }
+
+  return Promise.resolve(this.store.del(KEY_PREFIX + key));
+};
+
+/**
+ * @private
+ * @returns {Promise.<Object>}
+ */
+ResponseCache.prototype.getVariants_ = function (key) {
+  if (!this.connected) {
+    return Promise.resolve({});
+  }
+
+  return Promise.resolve(this.store.get(KEY_PREFIX + key)).then(function (data) {
+    return data ? JSON.parse(data) : {};
+  }).catch(function (err) {
+    log.error({ error: err, key: key }, 'Failed to read a response from the cache');
+    return {};
+  });
+};
+
+module.exports = ResponseCache;
@@ -0,0 +1,41 @@
+"use strict";
+
+/**
+ * A handler return value that carries a status code and headers in addition to the body.
+ *
+ * The status code and the headers are applied to the response before the body is sent. The body
+ * can be anything a handler could return directly. If the body is null or undefined, the response
+ * is sent without a body.
+ *
+ * ```js
+ * router
+ *   .post('/users')
+ *   .handler(function (req) {
+ *     return req.models.User.query().insert(req.body).then(function (user) {
+ *       return router.response(201, user, {Location: '/users/' + user.id});
+ *     });
+ *   });
+ * ```
+ *
+ * @see Router#response
+ * @constructor
+ * @param {Number} statusCode
+ * @param {*=} body
+ * @param {Object.<String, String>=} headers
+ */
+function Result(statusCode, body, headers) {
+  /**
+   * @type {Number}
+   */
+  this.statusCode = statusCode;
+  /**
+   * @type {*}
+   */
+  this.body = body;
+  /**
+   * @type {Object.<String, String>}
+   */
+  this.headers = headers || {};
+}
+
+module.exports = Result;
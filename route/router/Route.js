@@ -1,14 +1,51 @@
 "use strict";
 
 var _ = require('lodash')
+  , HTTPError = require('dodo/errors').HTTPError
   , AccessError = require('dodo/errors').AccessError
   , NotFoundError = require('dodo/errors').NotFoundError
-  , Promise = require('bluebird')
+  , ValidationError = require('dodo/errors').ValidationError
+  , Promise = require('bluebird').getNewLibraryCopy()
+  , pathToRegexp = require('path-to-regexp')
+  , querystring = require('querystring')
+  , crypto = require('crypto')
+  , path = require('path')
+  , validator = require('./validator')
+  , parsers = require('./parsers')
+  , serializers = require('./serializers')
+  , streams = require('./streams')
+  , Result = require('./Result')
+  , conditional = require('./conditional')
+  , RequestTransaction = require('./RequestTransaction')
+  , EventChannel = require('./EventChannel')
+  , WebSocketConnection = require('./WebSocketConnection')
+  , webSockets = require('./webSockets')
   , log = require('dodo/logger').getLogger('dodo-core-features.router');
 
 // Token used to indicate that no result was returned from a handler.
 var NO_RESULT = {};
 
+// Token used to indicate that the response was detached from its socket and nothing can be sent.
+var DETACHED = {};
+
+// Cancellation is used to stop handling requests that time out or whose connection is closed
+// by the client. A private copy of bluebird is configured so that the application's promises
+// are not affected.
+Promise.config({cancellation: true});
+
+/**
+ * Response read from the `ResponseCache`.
+ *
+ * @private
+ * @constructor
+ */
+function CachedResponse(response) {
+  this.response = response;
+}
+
+// Parts of the request that can be validated using `Route#validate`.
+var VALIDATED_PROPERTIES = ['params', 'query', 'body', 'headers'];
+
 /**
  * @constructor
  */
@@ -25,6 +62,42 @@ function Route(opt) {
    * @type {String|RegExp}
    */
   this.path = opt.path;
+  /**
+   * Path of the express router this route is mounted to.
+   *
+   * @type {String}
+   */
+  this.rootPath = opt.rootPath || '/';
+  /**
+   * @type {Object.<String, function(*, Request):(String|Buffer)>}
+   */
+  this.serializers = opt.serializers || serializers.defaults;
+  /**
+   * @type {ResponseCache}
+   */
+  this.responseCache = opt.responseCache || null;
+  /**
+   * @type {RateLimiter}
+   */
+  this.rateLimiter = opt.rateLimiter || null;
+  /**
+   * @type {IdempotencyCache}
+   */
+  this.idempotencyCache = opt.idempotencyCache || null;
+  /**
+   * @type {{ttlSeconds:Number, scope:function(Request):String}}
+   */
+  this.idempotencyOptions = null;
+  /**
+   * @type {{windowSeconds:Number, max:Number, key:function(Request):String}}
+   */
+  this.rateLimitOptions = opt.rateLimit ? normalizeRateLimitOptions(opt.rateLimit) : null;
+  /**
+   * Timeout in milliseconds. Zero means no timeout.
+   *
+   * @type {Number}
+   */
+  this.timeoutMs = opt.timeout || 0;
   /**
    * @type {function(req, transaction):boolean}
    */
@@ -32,7 +105,35 @@ function Route(opt) {
   /**
    * @type {Number}
    */
-  this.unauthenticatedStatusCode = opt.unauthenticatedStatusCode;
+  this.unauthenticatedStatusCode = opt.unauthenticatedStatusCode || 401;
+  /**
+   * Value of the `WWW-Authenticate` header of 401 responses.
+   *
+   * @type {String}
+   */
+  this.authenticateChallenge = opt.authenticateChallenge || 'Token';
+  /**
+   * Authorization policies keyed by permission name.
+   *
+   * @type {Object.<String, function(Object, *, Request):(Boolean|Promise)>}
+   */
+  this.policies = opt.policies || {};
+  /**
+   * @type {function(Object):Array.<String>}
+   */
+  this.roleResolver = opt.roleResolver || defaultRoleResolver;
+  /**
+   * Roles declared using `.roles()`.
+   *
+   * @type {Array.<String>}
+   */
+  this.requiredRoles = [];
+  /**
+   * Permissions declared using `.can()`.
+   *
+   * @type {Array.<String>}
+   */
+  this.requiredPermissions = [];
   /**
    * @type {Array.<function (Request, Response, Transaction)>}
    */
@@ -41,10 +142,102 @@ function Route(opt) {
    * @type {Array.<function (Request, Response, function)>}
    */
   this.expressMiddleware = [];
+  /**
+   * @type {{params:Object=, query:Object=, body:Object=, headers:Object=}}
+   */
+  this.validationSchemas = {};
+  /**
+   * Parameter types given using `.param()` and `.query()`.
+   *
+   * @type {{params:Object.<String, (String|function)>, query:Object.<String, (String|function)>}}
+   */
+  this.parameterTypes = {params: {}, query: {}};
+  /**
+   * Status code sent if a path parameter cannot be parsed.
+   *
+   * @type {Number}
+   */
+  this.invalidParamStatusCode = opt.invalidParamStatusCode || 400;
+  /**
+   * @type {String}
+   */
+  this.descriptionText = null;
+  /**
+   * Name given using `.name()`.
+   *
+   * @type {String}
+   */
+  this.routeName = null;
+  /**
+   * Named routes of all routers keyed by name.
+   *
+   * @type {Object.<String, Route>}
+   */
+  this.namedRoutes = opt.namedRoutes || {};
+  /**
+   * Path of the module that registered the route. Used in error messages.
+   *
+   * @type {String}
+   */
+  this.sourceFile = null;
+  /**
+   * @type {{weak:Boolean}}
+   */
+  this.etagOptions = null;
+  /**
+   * @type {{currentEtag:function(Request):(String|Promise), required:Boolean}}
+   */
+  this.ifMatchOptions = null;
+  /**
+   * @type {{ttlSeconds:Number, key:function(Request):String, vary:Array.<String>}}
+   */
+  this.cacheOptions = null;
+  /**
+   * @type {{maxPageSize:Number, defaultPageSize:Number}}
+   */
+  this.paginationOptions = null;
+  /**
+   * Provider of the transactions of `.transactional()` routes.
+   *
+   * @type {{transaction:function}|function(Request):{transaction:function}}
+   */
+  this.transactionProvider = opt.transactionProvider || null;
+  /**
+   * @type {Boolean}
+   */
+  this.useTransaction = false;
+  /**
+   * Set for Server-Sent Events routes created using `Router#sse`.
+   *
+   * @type {{heartbeatSeconds:Number, retryMs:Number}}
+   */
+  this.eventStreamOptions = opt.eventStream || null;
+  /**
+   * Set for WebSocket routes created using `Router#ws`.
+   *
+   * @type {{json:Boolean, pingSeconds:Number}}
+   */
+  this.webSocketOptions = opt.webSocket || null;
+  /**
+   * Set for routes marked using `Route#deprecated`.
+   *
+   * @type {{since:Date, sunset:Date, link:String, replacement:String, gone:Boolean, logIntervalSeconds:Number}}
+   */
+  this.deprecation = null;
+  /**
+   * Time of the last logged call of each caller of a deprecated route.
+   *
+   * @type {Object.<String, Number>}
+   */
+  this.deprecationLog_ = {};
   /**
    * @type {function (Request, Response, next)}
    */
   this.handlerFunc = null;
+  /**
+   * @type {RegExp}
+   */
+  this.pathRegExp_ = null;
 }
 
 /**
@@ -63,174 +256,1504 @@ Route.prototype.middleware = function (middleware) {
 };
 
 /**
- * Installs an authentication handler for the route.
+ * Parses a path parameter.
  *
- * @see Router#get for examples.
- * @param {function(IncomingMessage)=} authHandler
+ * The parsed value replaces the string in `req.params`. The type can be one of the built-in
+ * types `string`, `int`, `number`, `boolean`, `uuid` and `date` or a custom parser function
+ * that takes the string and returns the parsed value or throws an error if the value is invalid.
+ *
+ * If the parameter cannot be parsed, a 400 `ValidationError` is sent. The router option
+ * `invalidParamStatusCode` can be set to 404 to send a 404 error instead. The parameters are
+ * parsed before the validation.
+ *
+ * ```js
+ * router
+ *   .get('/users/:id')
+ *   .param('id', 'int')
+ *   .handler(function (req) {
+ *     // req.params.id is an integer.
+ *     return req.models.User.query().findById(req.params.id);
+ *   });
+ * ```
+ *
+ * @see parsers.js for the built-in types.
+ * @param {String} name
+ * @param {String|function(String):*} type
  * @returns {Route}
  */
-Route.prototype.auth = function (authHandler) {
+Route.prototype.param = function (name, type) {
   if (this.handlerFunc) {
-    throw new Error('You must call auth(func) before handler(func)');
+    throw new Error('You must call param(name, type) before handler(func)');
   }
 
-  if (authHandler) {
-    this.authHandlers.push(authHandler);
+  parsers.parserFor(type);
+  this.parameterTypes.params[name] = type;
+  return this;
+};
+
+/**
+ * Parses query parameters.
+ *
+ * Works like `.param()` for the query parameters in `req.query`. Types ending with `[]`
+ * parse arrays. Missing query parameters are left undefined. Use `.validate()` to make
+ * them required. Invalid query parameters always cause a 400 `ValidationError`.
+ *
+ * ```js
+ * router
+ *   .get('/posts')
+ *   .query({page: 'int', tags: 'string[]', since: 'date'})
+ *   .handler(function (req) {
+ *     // req.query.page is a number, req.query.tags an array and req.query.since a Date.
+ *   });
+ * ```
+ *
+ * @param {Object.<String, (String|function(String):*)>} types
+ * @returns {Route}
+ */
+Route.prototype.query = function (types) {
+  if (this.handlerFunc) {
+    throw new Error('You must call query(types) before handler(func)');
   }
 
+  _.forEach(types, parsers.parserFor);
+  _.assign(this.parameterTypes.query, types);
   return this;
 };
 
 /**
- * Makes the route public by removing all authentications (including the defaultAuth method).
+ * Validates the request against JSON-Schema-style definitions.
+ *
+ * The validation is done after the express middleware and the authentication and before the
+ * auth handlers.
+ * If the validation fails, a 400 `ValidationError` is thrown. The error's data contains a
+ * message for each invalid field.
+ *
+ * ```js
+ * router
+ *   .post('/users/:id/pets')
+ *   .validate({
+ *     params: {
+ *       type: 'object',
+ *       properties: {id: {type: 'string', pattern: '^\\d+$'}}
+ *     },
+ *     body: {
+ *       type: 'object',
+ *       required: ['name'],
+ *       properties: {
+ *         name: {type: 'string', minLength: 1},
+ *         species: {enum: ['dog', 'cat']}
+ *       }
+ *     }
+ *   })
+ *   .handler(function (req) {
+ *     // req.body.name is always a non-empty string here.
+ *   });
+ * ```
+ *
+ * A request `{"species": "cow"}` to the route above produces an error with the following data:
+ *
+ * ```js
+ * {
+ *   'body.name': 'is required',
+ *   'body.species': 'should be one of: dog, cat'
+ * }
+ * ```
  *
+ * Note that `params`, `query` and `headers` contain strings as parsed by express unless the
+ * parameters are parsed using `.param()` or `.query()`, and that header names are lower case.
+ *
+ * @see validator.js for the supported schema keywords.
+ * @param {{params:Object=, query:Object=, body:Object=, headers:Object=}} schemas
  * @returns {Route}
  */
-Route.prototype.public = function () {
-  this.authHandlers = [];
-  this.defaultAuthHandler = null;
-  this._public = true;
+Route.prototype.validate = function (schemas) {
+  if (this.handlerFunc) {
+    throw new Error('You must call validate(schemas) before handler(func)');
+  }
+
+  _.forEach(schemas, function (schema, property) {
+    if (!_.includes(VALIDATED_PROPERTIES, property)) {
+      throw new Error('validate(schemas) can only validate ' + VALIDATED_PROPERTIES.join(', ') + '. Got ' + property);
+    }
+  });
+
+  _.assign(this.validationSchemas, schemas);
   return this;
 };
 
 /**
- * This handler sends response by itself and we shouldn't apply default response sending actions for this one.
+ * Sets a human readable description for the route.
  *
- * Handler must return promise, which doesn't resolve until res.send is called.
+ * The description is only used for documentation like the generated OpenAPI document.
  *
+ * @param {String} text
  * @returns {Route}
  */
-Route.prototype.customResponse = function () {
-  this._omitResultHandlers = true;
+Route.prototype.description = function (text) {
+  this.descriptionText = text;
   return this;
 };
 
 /**
- * Installs a handler for the route.
+ * Enables ETags and conditional GET and HEAD requests for the route.
  *
- * @see Router#get for examples.
- * @param {function(IncomingMessage, ServerResponse, Next)} handler
+ * An ETag is computed from the serialized response body unless the handler returns a `Result`
+ * with an `ETag` header. A `Last-Modified` header of the `Result` is also respected. Requests
+ * whose `If-None-Match` or `If-Modified-Since` header matches are answered with 304 Not Modified.
+ * Only 2xx responses get an ETag.
+ *
+ * ```js
+ * router
+ *   .get('/users/:id')
+ *   .etag()
+ *   .handler(function (req) {
+ *     return req.models.User.findById(req.params.id).then(function (user) {
+ *       return router.response(200, user, {'Last-Modified': user.updatedAt});
+ *     });
+ *   });
+ * ```
+ *
+ * @param {Object=} options
+ * @param {Boolean=} options.weak
+ *    If true, weak ETags are generated. Defaults to false.
  * @returns {Route}
  */
-Route.prototype.handler = function (handler) {
+Route.prototype.etag = function (options) {
+  this.etagOptions = _.defaults({}, options, {weak: false});
+  return this;
+};
+
+/**
+ * Enforces the `If-Match` request header for the route. Use this for PUT, PATCH and DELETE
+ * routes to implement optimistic concurrency control.
+ *
+ * `currentEtag` is called with the request after the authentication handlers. It should return
+ * the ETag of the current representation of the resource, a promise for it, or null if the
+ * resource doesn't exist. If the request's `If-Match` header doesn't match, the handler is not
+ * called and a 412 Precondition Failed error is thrown.
+ *
+ * The ETags that `.etag()` generates from the serialized body can't be computed here. The GET
+ * route of the resource must send an explicit ETag, for example one created using
+ * `Router#generateEtag`, and `currentEtag` must return the same value.
+ *
+ * ```js
+ * router
+ *   .put('/users/:id')
+ *   .ifMatch(function (req) {
+ *     return req.models.User.findById(req.params.id).then(function (user) {
+ *       return user && router.generateEtag(user.version);
+ *     });
+ *   }, {required: true})
+ *   .handler(function (req) {
+ *     // Only executed if the client has the latest version of the user.
+ *   });
+ * ```
+ *
+ * @param {function(Request):(String|Promise)} currentEtag
+ * @param {Object=} options
+ * @param {Boolean=} options.required
+ *    If true, requests without `If-Match` header are rejected with 428 Precondition Required.
+ * @returns {Route}
+ */
+Route.prototype.ifMatch = function (currentEtag, options) {
   if (this.handlerFunc) {
-    throw new Error('handler(func) can be called just once per Route instance');
+    throw new Error('You must call ifMatch(func) before handler(func)');
   }
 
-  this.handlerFunc = handler;
-  this.execute_();
+  if (_.includes(['get', 'head', 'options'], this.method)) {
+    throw new Error('ifMatch(func) can only be used with methods that modify resources');
+  }
+
+  this.ifMatchOptions = _.defaults({currentEtag: currentEtag}, options, {required: false});
   return this;
 };
 
 /**
- * @private
+ * Caches the serialized responses of the route.
+ *
+ * On a cache hit the handler is not called. The express middleware, validation and the
+ * authentication handlers are still executed. Only 200 responses are cached and streamed
+ * responses are never cached.
+ *
+ * Responses are cached separately for each negotiated media type and for each distinct value
+ * of the request headers listed in `options.vary`. Use `Router#invalidateCache` to remove all
+ * variants of a cached response:
+ *
+ * ```js
+ * router
+ *   .get('/countries')
+ *   .cache({ttlSeconds: 60 * 60, vary: ['Accept-Language']})
+ *   .handler(function (req) {
+ *     return req.models.Country.query();
+ *   });
+ *
+ * router
+ *   .post('/countries')
+ *   .handler(function (req) {
+ *     return req.models.Country.query().insert(req.body).then(function (country) {
+ *       return router.invalidateCache('/countries').return(country);
+ *     });
+ *   });
+ * ```
+ *
+ * The cache key is the request path including the `rootPath` and the query string by default.
+ * The responses of routes that are not public are cached separately for each user, since they
+ * usually depend on the user. Set `options.shared` only if everybody who passes the auth
+ * handlers gets the same response. Responses of cached routes have a `Vary` header listing
+ * `Accept` and the headers of `options.vary` so that shared caches keep the variants apart.
+ *
+ * @param {Object=} options
+ * @param {Number=} options.ttlSeconds
+ *    How long a response is cached. Defaults to 60 seconds.
+ * @param {function(Request):String=} options.key
+ *    Function that returns the cache key for a request. Defaults to `req.originalUrl`.
+ * @param {Array.<String>=} options.vary
+ *    Names of request headers whose values select the cached variant.
+ * @param {Boolean=} options.shared
+ *    If true, the responses of a route that is not public are shared by all users.
+ * @returns {Route}
  */
-Route.prototype.execute_ = function () {
-  var self = this;
+Route.prototype.cache = function (options) {
+  if (this.handlerFunc) {
+    throw new Error('You must call cache(options) before handler(func)');
+  }
 
-  this.expressRouter[this.method](this.path, function (req, res, next) {
-    // return for testing purposes...
-    return self.handlerMiddleware_(req, res, next);
+  if (this.method !== 'get' || this.eventStreamOptions || this.webSocketOptions) {
+    throw new Error('cache(options) can only be used with GET routes');
+  }
+
+  if (!this.responseCache) {
+    throw new Error('cache(options) needs a response cache');
+  }
+
+  this.cacheOptions = _.defaults({}, options, {
+    ttlSeconds: 60,
+    key: function (req) {
+      return req.originalUrl;
+    },
+    vary: [],
+    shared: false
   });
+
+  return this;
 };
 
 /**
- * @private
+ * Paginates the results of the route.
+ *
+ * The requested page is read from the `Range: items=0-24` request header or from the `page`
+ * (starting from 1) and `limit` query parameters and stored to `this.page` of the handler as
+ * `{offset, limit}`. The page size is limited to `options.maxPageSize`.
+ *
+ * If the handler returns an object with `results` array and `total` count, the results are
+ * sent with a `Content-Range: items 0-24/100` header. The status code is 206 if the results
+ * don't contain all items and 200 otherwise. If the page starts after the last item, the
+ * route fails with a 416 error and the `Content-Range` header of the error response holds the
+ * total count of items.
+ *
+ * ```js
+ * router
+ *   .get('/users')
+ *   .paginated({maxPageSize: 50})
+ *   .handler(function (req) {
+ *     var page = this.page;
+ *     var query = req.models.User.query();
+ *
+ *     return Promise.all([
+ *       query.clone().offset(page.offset).limit(page.limit),
+ *       query.clone().resultSize()
+ *     ]).spread(function (results, total) {
+ *       return {results: results, total: total};
+ *     });
+ *   });
+ * ```
+ *
+ * @param {Object=} options
+ * @param {Number=} options.maxPageSize
+ *    Defaults to 100.
+ * @param {Number=} options.defaultPageSize
+ *    Page size used if the request doesn't specify one. Defaults to 25.
+ * @returns {Route}
  */
-Route.prototype.handlerMiddleware_ = function (req, res, next) {
-  var self = this;
-  var promise = Promise.resolve();
+Route.prototype.paginated = function (options) {
+  if (this.handlerFunc) {
+    throw new Error('You must call paginated(options) before handler(func)');
+  }
 
-  promise = promise.then(function () {
-    return self.handle_(req, res, next);
-  });
+  if (this.method !== 'get') {
+    throw new Error('paginated(options) can only be used with GET routes');
+  }
 
-  // return promise for testing purposes
-  return promise.then(function (result) {
-    if (result === NO_RESULT) {
-      if (!res.headersSent) {
-        throw new Error("When using .customResponse() handler, the promise returned must not resolve before the response has been sent. " +
-          "Requested path: " + req.path);
-      }
-      return;
-    }
-    if (!_.isObject(result) && !_.isString(result)) {
-      throw new NotFoundError();
-    } else {
-      sendResult(result, req, res);
-    }
-    if (!res.headersSent) {
-      log.error(
-        { reqPath: req.path },
-        "For some reason sendResult didn't throw an error, but call to res.send didn't set the res.headersSent correctly either. " +
-        "This seems to happen some times when connection is closed by client during some certain moment."
-      );
-      throw new Error(
-        "Unexpected error, for some reason call to res.send didn't set the res.headersSent attribute. " +
-        "Maybe connection was closed by request. Requested path: " + req.path
-      );
-    }
-  }).catch(next);
+  options = options || {};
+  var maxPageSize = options.maxPageSize || 100;
+
+  this.paginationOptions = {
+    maxPageSize: maxPageSize,
+    defaultPageSize: Math.min(options.defaultPageSize || 25, maxPageSize)
+  };
+
+  return this;
 };
 
 /**
- * @private
+ * Limits the number of requests a client can make to the route in a time window.
+ *
+ * The limit is checked after the express middleware and before the validation and the
+ * authentication handlers. Responses get `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` headers. When the limit is exceeded, a 429 error is thrown and the
+ * response gets a `Retry-After` header.
+ *
+ * Clients are identified by the session token or the client IP if the request has no
+ * existing session. The router can define a default limit for all routes. Options given
+ * here override the default and `false` disables rate limiting for the route.
+ *
+ * ```js
+ * router
+ *   .post('/login')
+ *   .public()
+ *   .rateLimit({windowSeconds: 60, max: 5})
+ *   .handler(function (req) {
+ *     ...
+ *   });
+ * ```
+ *
+ * @param {Object|Boolean} options
+ * @param {Number} options.max
+ *    Maximum number of requests in a window.
+ * @param {Number=} options.windowSeconds
+ *    Length of the window. Defaults to 60 seconds.
+ * @param {function(Request):String=} options.key
+ *    Function that returns the key that identifies the client.
+ * @returns {Route}
  */
-Route.prototype.handle_ = function (req, res, next) {
-  var self = this;
-  var context = {};
-  var authHandlers = (this.authHandlers && this.authHandlers.slice()) || [];
-  var promise = Promise.resolve();
-
-  _.forEach(self.expressMiddleware, function (middleware) {
-    promise = promise.then(function () {
-      return executeMiddleware(req, res, middleware);
-    });
-  });
+Route.prototype.rateLimit = function (options) {
+  if (this.handlerFunc) {
+    throw new Error('You must call rateLimit(options) before handler(func)');
+  }
 
-  if (!this._public) {
-    if (this.defaultAuthHandler) {
-      authHandlers.unshift(this.defaultAuthHandler);
-    } else {
-      throw new Error("No defaultAuthHandler set for non-public route. Requested path: " + req.path);
-    }
+  if (options === false) {
+    this.rateLimitOptions = null;
+    return this;
   }
 
-  _.forEach(authHandlers, function (authHandler) {
-    promise = promise.then(function () {
-      return authHandler.call(context, req);
-    }).then(function (ret) {
-      if (_.isBoolean(ret)) {
-        if (!ret) {
-          throw new AccessError();
-        }
-      } else if (ret instanceof Error) {
-        throw ret;
-      } else {
-        throw new Error("Invalid return value from auth handler. Requested path: " + req.path);
-      }
-    });
-  });
+  if (!this.rateLimiter) {
+    throw new Error('rateLimit(options) needs a rate limiter');
+  }
 
-  return promise.then(function () {
-    var result = self.handlerFunc.call(context, req, res, next);
-    if (self._omitResultHandlers) {
-      return Promise.resolve(result).then(function () {
-        return NO_RESULT;
-      });
-    } else {
-      return result;
-    }
-  });
+  this.rateLimitOptions = normalizeRateLimitOptions(_.defaults({}, options, this.rateLimitOptions));
+  return this;
 };
 
-module.exports = Route;
-
 /**
- * @private
- */
-function executeMiddleware(req, res, middleware) {
-  return new Promise(function (resolve, reject) {
+ * Makes retries of the route safe using the `Idempotency-Key` request header.
+ *
+ * The response of the first request with a key is stored for `ttlSeconds`. Retries with the same
+ * key and the same request body get the stored response with an `Idempotent-Replayed: true`
+ * header without calling the handler. A request that reuses a key for a different body gets 422
+ * and a request whose key is still being handled gets 409. Keys are scoped to the route and the
+ * caller: the user, or the session or IP address of anonymous callers, so that anonymous
+ * callers never get each other's responses. Requests without the header are handled normally.
+ *
+ * The request body is part of the fingerprint, so a body parser must run before the route.
+ * Requests with a key fail with 500 if `req.body` was never set.
+ *
+ * The key is claimed after the request has been authenticated and validated. Only responses of
+ * handlers that return a value are stored. If the request fails, the key is released so that
+ * the client can retry. If the store is not available, requests with a key get 503.
+ *
+ * ```js
+ * router
+ *   .post('/payments')
+ *   .idempotent({ttlSeconds: 24 * 60 * 60})
+ *   .handler(function (req) {
+ *     return payments.charge(req.user, req.body);
+ *   });
+ * ```
+ *
+ * @param {Object=} options
+ * @param {Number=} options.ttlSeconds
+ *    How long a response is stored. Defaults to 24 hours.
+ * @param {Number=} options.pendingTtlSeconds
+ *    How long a key stays claimed if the request never finishes, for example because the process
+ *    died. Must be longer than handling the request can take, or a retry may be handled while the
+ *    first request is still running. Defaults to the timeout of the route, or 60 seconds if the
+ *    route has no timeout.
+ * @param {function(Request):String=} options.scope
+ *    Returns the identifier of the client the keys belong to. Defaults to the id of `req.user`,
+ *    the session token or `req.ip`, whichever is available first.
+ * @returns {Route}
+ */
+Route.prototype.idempotent = function (options) {
+  if (this.handlerFunc) {
+    throw new Error('You must call idempotent(options) before handler(func)');
+  }
+
+  if (this.method !== 'post' && this.method !== 'patch') {
+    throw new Error('idempotent(options) can only be used with POST and PATCH routes');
+  }
+
+  if (!this.idempotencyCache) {
+    throw new Error('idempotent(options) needs an idempotency cache');
+  }
+
+  this.idempotencyOptions = _.defaults({}, options, {
+    ttlSeconds: 24 * 60 * 60,
+    pendingTtlSeconds: null,
+    scope: callerOf
+  });
+
+  return this;
+};
+
+/**
+ * Runs the request in a database transaction.
+ *
+ * A transaction is started using the `transactionProvider` of the router (`config.transactionProvider`
+ * of the route feature) after the request has been authenticated and validated. The transaction is
+ * given to the auth handlers as the second argument and to the handler as the fourth argument.
+ *
+ * The transaction is committed after the response has been sent successfully. It is rolled back
+ * if anything fails and before the error is passed to the error handler. It is also rolled back
+ * if the request is cancelled because of a timeout or a closed connection.
+ *
+ * ```js
+ * router
+ *   .post('/users')
+ *   .transactional()
+ *   .handler(function (req, res, next, transaction) {
+ *     return req.models.User.bindKnex(transaction).query().insert(req.body);
+ *   });
+ * ```
+ *
+ * @returns {Route}
+ */
+Route.prototype.transactional = function () {
+  if (this.handlerFunc) {
+    throw new Error('You must call transactional() before handler(func)');
+  }
+
+  if (!this.transactionProvider) {
+    throw new Error('transactional() needs a transactionProvider');
+  }
+
+  this.useTransaction = true;
+  return this;
+};
+
+/**
+ * Sets a timeout for handling a request.
+ *
+ * If the response has not been sent when the time is up, the handling of the request is
+ * cancelled and a 503 error is sent. Cancelling means that the remaining middleware, auth
+ * handlers and the handler are not executed and the result is not sent. The same cancellation
+ * is done when the client closes the connection before the response has been sent.
+ *
+ * A handler that has already been called is only stopped if it returned a bluebird promise
+ * whose library has cancellation enabled using `Promise.config({cancellation: true})`. The
+ * router enables it only for its own private copy of bluebird, so the application's bluebird,
+ * native promises and other thenables keep running after the 503 has been sent. Their results
+ * are discarded, but their side effects, such as database writes, still happen.
+ *
+ * The router can define a default timeout for all routes.
+ *
+ * ```js
+ * router
+ *   .get('/reports/slow')
+ *   .timeout(30 * 1000)
+ *   .handler(function (req) {
+ *     return createReport(req.query);
+ *   });
+ * ```
+ *
+ * @param {Number} ms
+ *    Timeout in milliseconds. Zero disables the timeout.
+ * @returns {Route}
+ */
+Route.prototype.timeout = function (ms) {
+  this.timeoutMs = ms || 0;
+  return this;
+};
+
+/**
+ * Marks the route deprecated.
+ *
+ * Responses get a `Deprecation` header, a `Sunset` header if the sunset date is given and a
+ * `Link` header that points to the documentation and the replacement of the route. Calls are
+ * logged as warnings, at most once per `logIntervalSeconds` for each caller. Callers are
+ * identified by the user id, the session or the IP address, after the middleware of the
+ * route has run. If `gone` is true, the route answers 410 after the sunset date.
+ *
+ * ```js
+ * router
+ *   .get('/users/:id')
+ *   .deprecated({
+ *     since: '2018-01-01',
+ *     sunset: '2018-07-01',
+ *     link: 'https://example.com/docs/migrating-to-v2',
+ *     replacement: '/api/v2/users/:id',
+ *     gone: true
+ *   })
+ *   .handler(...);
+ * ```
+ *
+ * @param {Object=} options
+ * @param {(Date|String)=} options.since
+ *    When the route was deprecated.
+ * @param {(Date|String)=} options.sunset
+ *    When the route will be removed.
+ * @param {String=} options.link
+ *    URL of the documentation of the deprecation.
+ * @param {String=} options.replacement
+ *    URL of the route that replaces this one.
+ * @param {Boolean=} options.gone
+ *    Answer 410 after the sunset date. Defaults to false.
+ * @param {Number=} options.logIntervalSeconds
+ *    Defaults to one hour.
+ * @returns {Route}
+ */
+Route.prototype.deprecated = function (options) {
+  if (this.handlerFunc) {
+    throw new Error('You must call deprecated(options) before handler(func)');
+  }
+
+  options = options || {};
+
+  if (options.gone && !options.sunset) {
+    throw new Error('deprecated({gone: true}) needs a sunset date');
+  }
+
+  this.deprecation = {
+    since: parseDeprecationDate(options.since, 'since'),
+    sunset: parseDeprecationDate(options.sunset, 'sunset'),
+    link: options.link || null,
+    replacement: options.replacement || null,
+    gone: !!options.gone,
+    logIntervalSeconds: _.isNumber(options.logIntervalSeconds) ? options.logIntervalSeconds : 60 * 60
+  };
+
+  return this;
+};
+
+/**
+ * Installs an authentication handler for the route.
+ *
+ * @see Router#get for examples.
+ * @param {function(IncomingMessage)=} authHandler
+ * @returns {Route}
+ */
+Route.prototype.auth = function (authHandler) {
+  if (this.handlerFunc) {
+    throw new Error('You must call auth(func) before handler(func)');
+  }
+
+  if (authHandler) {
+    this.authHandlers.push(authHandler);
+  }
+
+  return this;
+};
+
+/**
+ * Allows access only to users that have at least one of the given roles.
+ *
+ * The roles of the user are resolved using the `roleResolver` of the router. By default
+ * `req.user.roles` or `req.user.role` is used. Public routes have no user, so this can't be
+ * used with `.public()`.
+ *
+ * ```js
+ * router
+ *   .delete('/invoices/:id')
+ *   .roles('admin', 'accountant')
+ *   .handler(function (req) {
+ *     ...
+ *   });
+ * ```
+ *
+ * @param {...String} role
+ * @returns {Route}
+ */
+Route.prototype.roles = function () {
+  var roles = _.flatten(_.toArray(arguments));
+  var roleResolver = this.roleResolver;
+
+  if (this._public) {
+    throw new Error('roles(...) can not be used with public()');
+  }
+
+  this.requiredRoles = _.union(this.requiredRoles, roles);
+
+  return this.auth(function (req) {
+    return !_.isEmpty(_.intersection(roleResolver(req.user), roles));
+  });
+};
+
+/**
+ * Allows access only if the policy of `permission` allows it.
+ *
+ * The policies are registered using the `policies` option of the router (`config.policies`
+ * of the route feature). A policy is a function that takes the user, the resource and the
+ * request and returns a boolean or a promise of a boolean. Declaring a route with an unknown
+ * permission throws an error.
+ *
+ * If `loadResource` is given it is called with the request and the loaded resource is passed
+ * to the policy. The resource is also stored to `this.resource` of the handler so that
+ * it doesn't need to be loaded again. If the resource is not found a 404 error is sent.
+ *
+ * ```js
+ * // config
+ * policies: {
+ *   'invoice:update': function (user, invoice) {
+ *     return invoice.ownerId === user.id;
+ *   }
+ * }
+ *
+ * // route
+ * router
+ *   .put('/invoices/:id')
+ *   .can('invoice:update', function (req) {
+ *     return req.models.Invoice.query().findById(req.params.id);
+ *   })
+ *   .handler(function (req) {
+ *     return this.resource.$query().patchAndFetch(req.body);
+ *   });
+ * ```
+ *
+ * @param {String} permission
+ * @param {function(Request):*=} loadResource
+ * @returns {Route}
+ */
+Route.prototype.can = function (permission, loadResource) {
+  var policy = this.policies[permission];
+
+  if (this._public) {
+    throw new Error('can(permission) can not be used with public()');
+  }
+
+  if (!_.isFunction(policy)) {
+    throw new Error('No policy registered for permission "' + permission + '"');
+  }
+
+  this.requiredPermissions = _.union(this.requiredPermissions, [permission]);
+
+  return this.auth(function (req) {
+    var context = this;
+
+    return Promise.resolve(loadResource ? loadResource.call(context, req) : undefined).then(function (resource) {
+      if (loadResource) {
+        if (_.isNil(resource)) {
+          throw new NotFoundError();
+        }
+        context.resource = resource;
+      }
+
+      return policy(req.user, resource, req);
+    });
+  });
+};
+
+/**
+ * Makes the route public by removing all authentications (including the defaultAuth method).
+ *
+ * Throws if the route already requires roles or permissions, since making it public would
+ * silently drop them.
+ *
+ * @returns {Route}
+ */
+Route.prototype.public = function () {
+  if (!_.isEmpty(this.requiredRoles) || !_.isEmpty(this.requiredPermissions)) {
+    throw new Error('public() can not be used with roles(...) or can(permission)');
+  }
+
+  this.authHandlers = [];
+  this.requiredRoles = [];
+  this.requiredPermissions = [];
+  this.defaultAuthHandler = null;
+  this._public = true;
+  return this;
+};
+
+/**
+ * This handler sends response by itself and we shouldn't apply default response sending actions for this one.
+ *
+ * Handler must return promise, which doesn't resolve until res.send is called.
+ *
+ * @returns {Route}
+ */
+Route.prototype.customResponse = function () {
+  this._omitResultHandlers = true;
+  return this;
+};
+
+/**
+ * Installs a handler for the route.
+ *
+ * @see Router#get for examples.
+ * @param {function(IncomingMessage, ServerResponse, Next)} handler
+ * @returns {Route}
+ */
+Route.prototype.handler = function (handler) {
+  if (this.handlerFunc) {
+    throw new Error('handler(func) can be called just once per Route instance');
+  }
+
+  this.handlerFunc = handler;
+  this.execute_();
+  return this;
+};
+
+/**
+ * Names the route so that URLs can be generated for it using `Router#url` and `req.urlFor`.
+ *
+ * The names are shared by all routers and must be unique.
+ *
+ * ```js
+ * router
+ *   .get('/users/:id')
+ *   .name('user.detail')
+ *   .handler(...);
+ *
+ * router
+ *   .post('/users')
+ *   .handler(function (req) {
+ *     return createUser(req.body).then(function (user) {
+ *       return router.response(201, user, {Location: req.urlFor('user.detail', {id: user.id})});
+ *     });
+ *   });
+ * ```
+ *
+ * @param {String} name
+ * @returns {Route}
+ */
+Route.prototype.name = function (name) {
+  if (!_.isString(this.path)) {
+    throw new Error('Routes with a RegExp path cannot be named. Name: ' + name);
+  }
+
+  var existing = this.namedRoutes[name];
+  if (existing && existing !== this) {
+    throw new Error('Route name "' + name + '" is already used by ' + existing.method.toUpperCase() + ' ' + existing.fullPath());
+  }
+
+  if (this.routeName) {
+    delete this.namedRoutes[this.routeName];
+  }
+
+  this.routeName = name;
+  this.namedRoutes[name] = this;
+  return this;
+};
+
+/**
+ * Returns the path pattern of the route including the `rootPath`.
+ *
+ * @returns {String}
+ */
+Route.prototype.fullPath = function () {
+  return path.posix.join(this.rootPath, this.path);
+};
+
+/**
+ * Builds a URL path for the route by filling the path parameters.
+ *
+ * Throws if a required parameter is missing, a parameter doesn't match its pattern or
+ * a parameter that is not in the path is given.
+ *
+ * @param {Object=} params
+ *    Path parameters.
+ * @param {Object=} query
+ *    Query parameters.
+ * @returns {String}
+ *    The path including the `rootPath` and the query string.
+ */
+Route.prototype.url = function (params, query) {
+  var self = this;
+  var used = [];
+  params = params || {};
+
+  var url = this.fullPath().replace(/\/?:(\w+)(\(((?:\\.|[^\\()])+)\))?(\?)?/g, function (match, name, group, pattern, optional) {
+    var value = params[name];
+    var slash = match.charAt(0) === '/' ? '/' : '';
+
+    used.push(name);
+
+    if (_.isNil(value)) {
+      if (optional) {
+        return '';
+      }
+      throw new Error('Missing parameter "' + name + '" for route ' + self.routeName);
+    }
+
+    value = String(value);
+    if (pattern && !new RegExp('^(?:' + pattern + ')$').test(value)) {
+      throw new Error('Parameter "' + name + '" of route ' + self.routeName + ' must match ' + pattern);
+    }
+
+    return slash + encodeURIComponent(value);
+  });
+
+  var extra = _.difference(_.keys(params), used);
+  if (!_.isEmpty(extra)) {
+    throw new Error('Unknown parameters ' + extra.join(', ') + ' for route ' + self.routeName);
+  }
+
+  var search = querystring.stringify(query || {});
+  return (url || '/') + (search ? '?' + search : '');
+};
+
+/**
+ * Tests if the route's path pattern matches a request path.
+ *
+ * Matching works like in express: case insensitive and ignoring a trailing slash.
+ *
+ * @param {String} requestPath
+ *    Path relative to the `rootPath`.
+ * @returns {Boolean}
+ */
+Route.prototype.matchesPath = function (requestPath) {
+  if (!this.pathRegExp_) {
+    this.pathRegExp_ = pathToRegexp(this.path, [], {sensitive: false, strict: false, end: true});
+  }
+  return this.pathRegExp_.test(requestPath);
+};
+
+/**
+ * @private
+ */
+Route.prototype.execute_ = function () {
+  var self = this;
+
+  this.expressRouter[this.method](this.path, function (req, res, next) {
+    // return for testing purposes...
+    return self.handlerMiddleware_(req, res, next);
+  });
+};
+
+/**
+ * @private
+ */
+Route.prototype.handlerMiddleware_ = function (req, res, next) {
+  var self = this;
+  var promise = Promise.resolve();
+  var timer = null;
+  var transaction = this.useTransaction ? new RequestTransaction(transactionProviderFor(this.transactionProvider, req)) : null;
+  // Set by `handle_` when the request claims its idempotency key.
+  var idempotency = this.idempotencyOptions ? {key: null, fingerprint: null} : null;
+  var sentResponse = null;
+
+  var rollback = function (err) {
+    if (!transaction) {
+      return Promise.resolve();
+    }
+
+    return Promise.resolve(transaction.rollback(err)).catch(function (rollbackError) {
+      log.error({ reqPath: req.path, error: rollbackError }, 'Failed to roll back the transaction');
+    });
+  };
+
+  var releaseIdempotencyKey = function () {
+    if (!idempotency || !idempotency.key) {
+      return Promise.resolve();
+    }
+
+    var key = idempotency.key;
+    idempotency.key = null;
+    return Promise.resolve(self.idempotencyCache.release(key));
+  };
+
+  promise = promise.then(function () {
+    return self.handle_(req, res, next, transaction, idempotency);
+  });
+
+  promise = promise.then(function (result) {
+    if (result === DETACHED) {
+      return;
+    }
+    if (result === NO_RESULT) {
+      if (!res.headersSent) {
+        throw new Error("When using .customResponse() handler, the promise returned must not resolve before the response has been sent. " +
+          "Requested path: " + req.path);
+      }
+      return;
+    }
+    var headers = {};
+    var cacheable = !!self.cacheOptions;
+    if (self.cacheOptions) {
+      res.vary(['Accept'].concat(self.cacheOptions.vary));
+    }
+    if (result instanceof CachedResponse) {
+      cacheable = false;
+      result = new Result(result.response.statusCode, result.response.body, result.response.headers);
+    }
+    if (result instanceof Result) {
+      headers = _.mapValues(result.headers, conditional.formatHeaderValue);
+      res.status(result.statusCode);
+      res.set(headers);
+      result = result.body;
+      if (_.isNil(result)) {
+        res.end();
+        sentResponse = {statusCode: res.statusCode, headers: headers, body: null};
+        return;
+      }
+    }
+    if (result instanceof EventChannel) {
+      return new Promise(function (resolve) {
+        if (result.closed) {
+          return resolve();
+        }
+        result.on('close', resolve);
+      });
+    }
+    if (result instanceof WebSocketConnection) {
+      return result.waitForClose();
+    }
+    if (streams.isReadableStream(result)) {
+      return streams.sendStream(result, req, res);
+    }
+    if (streams.isAsyncIterable(result)) {
+      return streams.sendIterable(result, req, res);
+    }
+    if (!_.isObject(result) && !_.isString(result)) {
+      throw new NotFoundError();
+    } else {
+      var response = sendResult(self, result, req, res, headers);
+      sentResponse = response;
+      if (cacheable && res.statusCode === 200) {
+        var cacheKey = self.cacheKey_(req);
+        // No need to wait for the result.
+        self.responseCache.set(cacheKey.key, cacheKey.variant, response, self.cacheOptions.ttlSeconds);
+      }
+    }
+    if (!res.headersSent) {
+      log.error(
+        { reqPath: req.path },
+        "For some reason sendResult didn't throw an error, but call to res.send didn't set the res.headersSent correctly either. " +
+        "This seems to happen some times when connection is closed by client during some certain moment."
+      );
+      throw new Error(
+        "Unexpected error, for some reason call to res.send didn't set the res.headersSent attribute. " +
+        "Maybe connection was closed by request. Requested path: " + req.path
+      );
+    }
+  }).then(function () {
+    if (!transaction) {
+      return;
+    }
+
+    return transaction.commit().catch(function (err) {
+      if (!res.headersSent) {
+        throw err;
+      }
+      log.error({ reqPath: req.path, error: err }, 'Failed to commit the transaction after the response was sent');
+    });
+  }).then(function () {
+    if (!idempotency || !idempotency.key) {
+      return;
+    }
+
+    if (!sentResponse) {
+      return releaseIdempotencyKey();
+    }
+
+    var key = idempotency.key;
+    idempotency.key = null;
+    return self.idempotencyCache.complete(key, idempotency.fingerprint, sentResponse, self.idempotencyOptions.ttlSeconds);
+  }).catch(function (err) {
+    return Promise.all([rollback(err), releaseIdempotencyKey()]).then(function () {
+      next(err);
+    });
+  });
+
+  var onClose = function () {
+    if (!res.finished) {
+      log.trace({ reqPath: req.path }, 'Connection closed by the client. Cancelling the request.');
+      promise.cancel();
+    }
+  };
+
+  // WebSocket connections are long lived and have no response to time out.
+  if (this.timeoutMs && !this.webSocketOptions) {
+    timer = setTimeout(function () {
+      if (res.headersSent) {
+        return;
+      }
+      log.trace({ reqPath: req.path }, 'Request timed out. Cancelling the request.');
+      promise.cancel();
+
+      var err = new HTTPError(503, {reason: 'Request timed out'});
+      Promise.all([rollback(err), releaseIdempotencyKey()]).then(function () {
+        next(err);
+      });
+    }, this.timeoutMs);
+  }
+
+  res.on('close', onClose);
+
+  promise = promise.finally(function () {
+    clearTimeout(timer);
+    res.removeListener('close', onClose);
+
+    // The request was cancelled if these are still unfinished.
+    return Promise.all([
+      transaction && !transaction.finished ? rollback(new Error('Request cancelled')) : null,
+      releaseIdempotencyKey()
+    ]);
+  });
+
+  // return promise for testing purposes
+  return promise;
+};
+
+/**
+ * @private
+ * @returns {{key:String, variant:String}}
+ */
+Route.prototype.cacheKey_ = function (req) {
+  var mediaType = serializers.negotiate(req, _.keys(this.serializers));
+  var varyValues = _.map(this.cacheOptions.vary, function (header) {
+    return _.get(req, ['headers', header.toLowerCase()], '');
+  });
+
+  if (this.paginationOptions) {
+    varyValues.push(_.get(req, 'headers.range', ''));
+  }
+
+  if (!this._public && !this.cacheOptions.shared) {
+    varyValues.push(callerOf(req));
+  }
+
+  return {
+    key: this.cacheOptions.key(req),
+    variant: [mediaType].concat(varyValues).join('|')
+  };
+};
+
+/**
+ * @private
+ */
+Route.prototype.checkRateLimit_ = function (req, res) {
+  var options = this.rateLimitOptions;
+  var key = [this.method, this.rootPath, this.path, options.key(req)].join(':');
+
+  return this.rateLimiter.consume(key, options).then(function (limit) {
+    if (!limit) {
+      return;
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit.limit),
+      'RateLimit-Remaining': String(limit.remaining),
+      'RateLimit-Reset': String(limit.resetSeconds)
+    });
+
+    if (limit.exceeded) {
+      res.set('Retry-After', String(limit.resetSeconds));
+      throw new HTTPError(429, {reason: 'Too many requests'});
+    }
+  });
+};
+
+/**
+ * Sets the deprecation headers and logs the call. Fails with 410 after the sunset if the
+ * route is gone.
+ *
+ * @private
+ */
+Route.prototype.checkDeprecation_ = function (req, res) {
+  var deprecation = this.deprecation;
+  var headers = {
+    'Deprecation': deprecation.since ? '@' + Math.floor(deprecation.since.getTime() / 1000) : 'true'
+  };
+  var links = [];
+
+  if (deprecation.sunset) {
+    headers['Sunset'] = deprecation.sunset.toUTCString();
+  }
+
+  if (deprecation.link) {
+    links.push('<' + deprecation.link + '>; rel="deprecation"');
+  }
+
+  if (deprecation.replacement) {
+    links.push('<' + deprecation.replacement + '>; rel="successor-version"');
+  }
+
+  if (links.length) {
+    headers['Link'] = links.join(', ');
+  }
+
+  res.set(headers);
+
+  if (deprecation.gone && deprecation.sunset.getTime() <= Date.now()) {
+    throw new HTTPError(410, _.omitBy({
+      reason: 'Removed on ' + deprecation.sunset.toISOString(),
+      replacement: deprecation.replacement
+    }, _.isNil));
+  }
+
+  this.logDeprecatedCall_(req);
+};
+
+/**
+ * @private
+ */
+Route.prototype.logDeprecatedCall_ = function (req) {
+  var caller = callerOf(req);
+  var now = Date.now();
+  var intervalMs = this.deprecation.logIntervalSeconds * 1000;
+  var lastLogged = this.deprecationLog_[caller];
+
+  if (lastLogged && now - lastLogged < intervalMs) {
+    return;
+  }
+
+  if (!lastLogged) {
+    // Forget callers that have not called recently so that the log doesn't grow forever.
+    this.deprecationLog_ = _.pickBy(this.deprecationLog_, function (time) {
+      return now - time < intervalMs;
+    });
+  }
+
+  this.deprecationLog_[caller] = now;
+  log.warning({
+    reqPath: req.path,
+    caller: caller,
+    sunset: this.deprecation.sunset
+  }, 'Deprecated route ' + this.method.toUpperCase() + ' ' + (_.isString(this.path) ? this.fullPath() : String(this.path)) + ' was called');
+};
+
+/**
+ * Claims the idempotency key of the request.
+ *
+ * @private
+ * @returns {Promise.<{statusCode:Number, headers:Object, body:(String|Buffer)}>}
+ *    Resolved to the stored response if the request has already been handled and to null
+ *    if the request should be handled. `idempotency` is updated if the key was claimed.
+ */
+Route.prototype.claimIdempotencyKey_ = function (req, idempotency) {
+  var idempotencyKey = _.get(req, ['headers', 'idempotency-key']);
+
+  if (!idempotencyKey) {
+    return Promise.resolve(null);
+  }
+
+  if (idempotencyKey.length > 255) {
+    throw new ValidationError({'headers.idempotency-key': 'must be at most 255 characters'});
+  }
+
+  // Without a body parser retries with a different body would get the stored response.
+  if (_.isUndefined(req.body)) {
+    throw new Error('idempotent(options) needs a body parser that runs before the route. Requested path: ' + req.path);
+  }
+
+  var key = [this.method, this.rootPath, this.path, this.idempotencyOptions.scope(req), idempotencyKey].join(':');
+  var fingerprint = requestFingerprint(req);
+
+  var pendingTtlSeconds = this.idempotencyOptions.pendingTtlSeconds || Math.ceil(this.timeoutMs / 1000) || null;
+
+  return Promise.resolve(this.idempotencyCache.claim(key, fingerprint, pendingTtlSeconds)).catch(function (err) {
+    log.error({ reqPath: req.path, error: err }, 'Failed to claim an idempotency key');
+    throw new HTTPError(503, {reason: 'Idempotency store is not available'});
+  }).then(function (claim) {
+    if (claim.state === 'pending') {
+      throw new HTTPError(409, {reason: 'A request with the same Idempotency-Key is being handled'});
+    } else if (claim.state === 'mismatch') {
+      throw new HTTPError(422, {reason: 'Idempotency-Key was already used for a different request'});
+    } else if (claim.state === 'done') {
+      return _.assign({}, claim.response, {
+        headers: _.assign({}, claim.response.headers, {'Idempotent-Replayed': 'true'})
+      });
+    }
+
+    idempotency.key = key;
+    idempotency.fingerprint = fingerprint;
+    return null;
+  });
+};
+
+/**
+ * Calls the handler of a Server-Sent Events route with an `EventChannel`. The channel is opened
+ * once the handler's promise is resolved. Errors after the channel has been opened close it.
+ *
+ * @private
+ * @returns {Promise.<EventChannel>}
+ */
+Route.prototype.handleEventStream_ = function (context, req, res, transaction) {
+  var channel = new EventChannel(req, res, this.eventStreamOptions);
+
+  return cancellable(this.handlerFunc.call(context, req, channel, transaction ? transaction.transaction : undefined)).then(function () {
+    channel.open();
+    return channel;
+  }, function (err) {
+    if (!channel.opened) {
+      throw err;
+    }
+
+    log.error({ reqPath: req.path, error: err }, 'Event stream handler failed after the stream was opened');
+    channel.close();
+    return channel;
+  });
+};
+
+/**
+ * Accepts the upgrade request of a WebSocket route and calls the handler with a
+ * `WebSocketConnection`. Errors of the handler close the connection.
+ *
+ * @private
+ * @returns {Promise.<WebSocketConnection>}
+ */
+Route.prototype.handleWebSocket_ = function (context, req, res, transaction) {
+  var self = this;
+
+  if (!webSockets.isUpgradeRequest(req)) {
+    res.set('Upgrade', 'websocket');
+    throw new HTTPError(426, {reason: 'WebSocket upgrade required'});
+  }
+
+  if (!webSockets.isAllowedOrigin(req, this.webSocketOptions.allowedOrigins)) {
+    throw new HTTPError(403, {reason: 'Origin not allowed'});
+  }
+
+  return webSockets.accept(req, res, this.webSocketOptions.maxPayload).then(function (socket) {
+    if (!socket) {
+      return DETACHED;
+    }
+
+    var connection = new WebSocketConnection(socket, self.webSocketOptions);
+
+    return cancellable(self.handlerFunc.call(context, req, connection, transaction ? transaction.transaction : undefined)).then(function () {
+      return connection;
+    }, function (err) {
+      log.error({ reqPath: req.path, error: err }, 'WebSocket handler failed');
+      connection.close(1011, 'Internal error');
+      return connection;
+    });
+  });
+};
+
+/**
+ * Authentication stage: non-public routes require a user. Authorization is done
+ * by the auth handlers after this.
+ *
+ * @private
+ */
+Route.prototype.authenticate_ = function (req, res) {
+  if (req.user) {
+    return;
+  }
+
+  if (this.unauthenticatedStatusCode === 401) {
+    res.set('WWW-Authenticate', this.authenticateChallenge);
+  }
+
+  throw new HTTPError(this.unauthenticatedStatusCode);
+};
+
+/**
+ * @private
+ */
+Route.prototype.handle_ = function (req, res, next, transaction, idempotency) {
+  var self = this;
+  var context = {};
+  var authHandlers = (this.authHandlers && this.authHandlers.slice()) || [];
+  var promise = Promise.resolve();
+
+  _.forEach(self.expressMiddleware, function (middleware) {
+    promise = promise.then(function () {
+      return executeMiddleware(req, res, middleware);
+    });
+  });
+
+  if (this.deprecation) {
+    // After the middleware so that the logged caller includes a user they set.
+    promise = promise.then(function () {
+      self.checkDeprecation_(req, res);
+    });
+  }
+
+  if (this.rateLimitOptions) {
+    promise = promise.then(function () {
+      return self.checkRateLimit_(req, res);
+    });
+  }
+
+  if (!this._public) {
+    if (this.defaultAuthHandler) {
+      authHandlers.unshift(this.defaultAuthHandler);
+    } else {
+      throw new Error("No defaultAuthHandler set for non-public route. Requested path: " + req.path);
+    }
+
+    promise = promise.then(function () {
+      self.authenticate_(req, res);
+    });
+  }
+
+  if (!_.isEmpty(self.parameterTypes.params) || !_.isEmpty(self.parameterTypes.query)) {
+    promise = promise.then(function () {
+      parseParameters(req, self.parameterTypes, self.invalidParamStatusCode);
+    });
+  }
+
+  if (!_.isEmpty(self.validationSchemas)) {
+    promise = promise.then(function () {
+      validateRequest(req, self.validationSchemas);
+    });
+  }
+
+  if (transaction) {
+    promise = promise.then(function () {
+      return transaction.begin();
+    });
+  }
+
+  _.forEach(authHandlers, function (authHandler) {
+    promise = promise.then(function () {
+      return authHandler.call(context, req, transaction ? transaction.transaction : undefined);
+    }).then(function (ret) {
+      if (_.isBoolean(ret)) {
+        if (!ret) {
+          throw new AccessError();
+        }
+      } else if (ret instanceof Error) {
+        throw ret;
+      } else {
+        throw new Error("Invalid return value from auth handler. Requested path: " + req.path);
+      }
+    });
+  });
+
+  if (this.ifMatchOptions) {
+    promise = promise.then(function () {
+      return checkIfMatch(self.ifMatchOptions, context, req);
+    });
+  }
+
+  if (this.paginationOptions) {
+    promise = promise.then(function () {
+      context.page = parsePage(req, self.paginationOptions);
+    });
+  }
+
+  var replayedResponse = null;
+  if (idempotency) {
+    promise = promise.then(function () {
+      return self.claimIdempotencyKey_(req, idempotency);
+    }).then(function (response) {
+      replayedResponse = response;
+    });
+  }
+
+  var cachedResponse = null;
+  if (this.cacheOptions) {
+    promise = promise.then(function () {
+      var cacheKey = self.cacheKey_(req);
+      return self.responseCache.get(cacheKey.key, cacheKey.variant);
+    }).then(function (response) {
+      cachedResponse = response;
+    });
+  }
+
+  return promise.then(function () {
+    if (cachedResponse) {
+      return new CachedResponse(cachedResponse);
+    }
+
+    if (replayedResponse) {
+      return new CachedResponse(replayedResponse);
+    }
+
+    if (self.eventStreamOptions) {
+      return self.handleEventStream_(context, req, res, transaction);
+    }
+
+    if (self.webSocketOptions) {
+      return self.handleWebSocket_(context, req, res, transaction);
+    }
+
+    var result = cancellable(self.handlerFunc.call(context, req, res, next, transaction ? transaction.transaction : undefined));
+    if (self._omitResultHandlers) {
+      return result.then(function () {
+        return NO_RESULT;
+      });
+    } else if (self.paginationOptions) {
+      return result.then(function (value) {
+        return pageResult(value, context.page, res);
+      });
+    } else {
+      return result;
+    }
+  });
+};
+
+module.exports = Route;
+
+/**
+ * @private
+ * @returns {Date}
+ */
+function parseDeprecationDate(value, name) {
+  if (_.isNil(value)) {
+    return null;
+  }
+
+  var date = new Date(value);
+
+  if (_.isNaN(date.getTime())) {
+    throw new Error('deprecated(options): invalid ' + name + ' date ' + value);
+  }
+
+  return date;
+}
+
+/**
+ * Identifies the caller of a request.
+ *
+ * @private
+ */
+function callerOf(req) {
+  var userId = _.get(req, 'user.id');
+
+  if (!_.isNil(userId)) {
+    return 'user:' + userId;
+  } else if (req.sessionToken) {
+    return 'session:' + hashToken(req.sessionToken);
+  }
+
+  return 'ip:' + req.ip;
+}
+
+/**
+ * Hash of the parts of a request that must not change when the request is retried.
+ *
+ * @private
+ */
+function requestFingerprint(req) {
+  var content = JSON.stringify([req.method, req.originalUrl || req.url, req.body]);
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Wraps a handler's return value into a promise whose cancellation is propagated
+ * to the returned value if it is a cancellable promise.
+ *
+ * @private
+ */
+function cancellable(result) {
+  return new Promise(function (resolve, reject, onCancel) {
+    Promise.resolve(result).then(resolve, reject);
+    onCancel(function () {
+      if (result && _.isFunction(result.cancel)) {
+        result.cancel();
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function executeMiddleware(req, res, middleware) {
+  return new Promise(function (resolve, reject) {
     var next = function (err) {
       if (err) {
         reject(err);
@@ -245,23 +1768,243 @@ function executeMiddleware(req, res, middleware) {
 /**
  * @private
  */
-function sendResult(result, req, res) {
-  if (Buffer.isBuffer(result)) {
-    res.send(result);
-    log.trace('Buffer result was sent', res.headersSent);
-  } else if (_.isObject(result)) {
-    res.set('Content-Type', 'application/json');
-    // Pretty print json in development and testing modes.
-    if (req.app.config.profile === 'development' || req.app.config.profile === 'testing') {
-      res.send(JSON.stringify(result, null, 2));
-      log.trace('Pretty json result was sent', res.headersSent);
-    } else {
-      res.send(JSON.stringify(result));
-      log.trace('Production json result was sent', res.headersSent);
+function parseParameters(req, parameterTypes, invalidParamStatusCode) {
+  var errors = {};
+
+  _.forEach(parameterTypes, function (types, property) {
+    var values = req[property] || {};
+
+    _.forEach(types, function (type, name) {
+      if (_.isNil(values[name])) {
+        return;
+      }
+
+      try {
+        values[name] = parsers.parserFor(type)(values[name]);
+      } catch (err) {
+        errors[property + '.' + name] = err.message;
+      }
+    });
+  });
+
+  if (_.isEmpty(errors)) {
+    return;
+  }
+
+  var pathParamFailed = _.some(_.keys(errors), function (key) {
+    return _.startsWith(key, 'params.');
+  });
+
+  if (pathParamFailed && invalidParamStatusCode === 404) {
+    throw new NotFoundError();
+  }
+
+  throw new ValidationError(errors);
+}
+
+/**
+ * @private
+ */
+function validateRequest(req, schemas) {
+  var errors = _.reduce(schemas, function (errors, schema, property) {
+    var value = req[property] === undefined ? {} : req[property];
+    return _.assign(errors, validator.validate(schema, value, property));
+  }, {});
+
+  if (!_.isEmpty(errors)) {
+    throw new ValidationError(errors);
+  }
+}
+
+/**
+ * @private
+ */
+function transactionProviderFor(provider, req) {
+  return _.isFunction(provider.transaction) ? provider : provider(req);
+}
+
+/**
+ * @private
+ */
+function parsePage(req, options) {
+  var range = _.get(req, 'headers.range');
+
+  if (range && /^\s*items=/i.test(range)) {
+    var match = /^\s*items=(\d+)-(\d*)\s*$/i.exec(range);
+    var start = match && parseInt(match[1], 10);
+    var end = match && (match[2] ? parseInt(match[2], 10) : start + options.defaultPageSize - 1);
+
+    if (!match || end < start) {
+      throw new HTTPError(416);
+    }
+
+    return {
+      offset: start,
+      limit: Math.min(end - start + 1, options.maxPageSize)
+    };
+  }
+
+  var errors = {};
+  var parseQueryInt = function (name, defaultValue) {
+    var value = _.get(req, ['query', name]);
+    if (_.isNil(value)) {
+      return defaultValue;
+    }
+
+    var number = parseInt(value, 10);
+    if (String(value) !== String(number) || number < 1) {
+      errors['query.' + name] = 'must be a positive integer';
+    }
+    return number;
+  };
+
+  var page = parseQueryInt('page', 1);
+  var limit = Math.min(parseQueryInt('limit', options.defaultPageSize), options.maxPageSize);
+
+  if (!_.isEmpty(errors)) {
+    throw new ValidationError(errors);
+  }
+
+  return {
+    offset: (page - 1) * limit,
+    limit: limit
+  };
+}
+
+/**
+ * Converts a `{results, total}` handler return value into a `Result` with a `Content-Range` header.
+ *
+ * @private
+ */
+function pageResult(value, page, res) {
+  if (!_.isPlainObject(value) || !_.isArray(value.results) || !_.isNumber(value.total)) {
+    return value;
+  }
+
+  var total = value.total;
+  var count = value.results.length;
+
+  if (page.offset >= total && total > 0) {
+    res.set('Content-Range', 'items */' + total);
+    throw new HTTPError(416, {reason: 'The page starts after the last item'});
+  }
+
+  var headers = {
+    'Accept-Ranges': 'items',
+    'Content-Range': count === 0
+      ? 'items */' + total
+      : 'items ' + page.offset + '-' + (page.offset + count - 1) + '/' + total
+  };
+
+  return new Result(count < total ? 206 : 200, value.results, headers);
+}
+
+/**
+ * @private
+ */
+function defaultRoleResolver(user) {
+  return _.compact(user.roles || [user.role]);
+}
+
+/**
+ * @private
+ */
+function normalizeRateLimitOptions(options) {
+  if (!_.isNumber(options.max)) {
+    throw new Error('rateLimit(options) requires options.max');
+  }
+
+  return _.defaults({}, options, {
+    windowSeconds: 60,
+    key: defaultRateLimitKey
+  });
+}
+
+/**
+ * @private
+ */
+function defaultRateLimitKey(req) {
+  if (!req.sessionIsNew && req.sessionToken) {
+    return 'session:' + hashToken(req.sessionToken);
+  }
+
+  return req.ip;
+}
+
+/**
+ * Session tokens are secrets and must not end up in store keys or logs as they are.
+ *
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex').substring(0, 16);
+}
+
+/**
+ * @private
+ */
+function checkIfMatch(options, context, req) {
+  if (options.required && !conditional.hasIfMatch(req)) {
+    throw new HTTPError(428, {reason: 'If-Match header is required'});
+  }
+
+  return Promise.resolve(options.currentEtag.call(context, req)).then(function (currentEtag) {
+    if (!conditional.ifMatchSucceeds(req, currentEtag)) {
+      throw new HTTPError(412, {reason: 'If-Match header does not match the current version'});
+    }
+  });
+}
+
+/**
+ * Sends the result and returns the serialized response.
+ *
+ * @private
+ * @returns {{statusCode:Number, headers:Object, body:(String|Buffer)}}
+ */
+function sendResult(route, result, req, res, headers) {
+  var body = result;
+  var response = {
+    statusCode: res.statusCode,
+    headers: _.clone(headers)
+  };
+
+  if (_.isObject(result) && !Buffer.isBuffer(result)) {
+    var mediaTypes = _.keys(route.serializers);
+    var mediaType = serializers.negotiate(req, mediaTypes);
+    if (!mediaType) {
+      throw new HTTPError(406, {supported: mediaTypes});
+    }
+    res.set('Content-Type', mediaType);
+    response.headers['Content-Type'] = mediaType;
+    body = route.serializers[mediaType](result, req);
+    log.trace('Result was serialized', mediaType);
+  }
+
+  response.body = body;
+
+  var successful = res.statusCode >= 200 && res.statusCode < 300;
+
+  if (route.etagOptions && successful && (req.method === 'GET' || req.method === 'HEAD')) {
+    var etag = headerValue(headers, 'ETag') || conditional.generateEtag(body, route.etagOptions.weak);
+    res.set('ETag', etag);
+    if (conditional.isNotModified(req, etag, headerValue(headers, 'Last-Modified'))) {
+      res.status(304).end();
+      log.trace('Not modified', res.headersSent);
+      return response;
     }
-  } else {
-    res.send(result);
-    log.trace('Unmodified result was sent', res.headersSent);
   }
+
+  res.send(body);
   log.trace('End of sendResult', res.headersSent);
+  return response;
+}
+
+/**
+ * @private
+ */
+function headerValue(headers, name) {
+  var key = _.find(_.keys(headers), function (key) {
+    return key.toLowerCase() === name.toLowerCase();
+  });
+  return key ? headers[key] : undefined;
 }
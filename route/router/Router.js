@@ -1,6 +1,15 @@
 "use strict";
 
-var Route = require('./Route');
+var _ = require('lodash')
+  , Route = require('./Route')
+  , Result = require('./Result')
+  , ResponseCache = require('./ResponseCache')
+  , IdempotencyCache = require('./IdempotencyCache')
+  , MemoryCacheStore = require('../stores/MemoryCacheStore')
+  , RateLimiter = require('./RateLimiter')
+  , MemoryCounterStore = require('../stores/MemoryCounterStore')
+  , serializers = require('./serializers')
+  , conditional = require('./conditional');
 
 /**
  * Wrapper for express.Router that makes handlers aware of promises.
@@ -9,8 +18,43 @@ var Route = require('./Route');
  * @constructor
  * @param {express.Router} expressRouter
  * @param {function} defaultAuthHandler
+ * @param {Number=} unauthenticatedStatusCode
+ * @param {Object=} options
+ * @param {String=} options.rootPath
+ *    Path the `expressRouter` is mounted to. Defaults to '/'.
+ * @param {Object.<String, function(*, Request):(String|Buffer)>=} options.serializers
+ *    Additional serializers keyed by media type. These are added to the built-in
+ *    JSON, CSV, XML and NDJSON serializers.
+ * @param {ResponseCache=} options.responseCache
+ *    Cache for routes that use `Route#cache`. Defaults to a cache backed by a `MemoryCacheStore`.
+ * @param {IdempotencyCache=} options.idempotencyCache
+ *    Stores the responses of routes that use `Route#idempotent`. Defaults to a cache backed by a
+ *    `MemoryCacheStore`.
+ * @param {RateLimiter=} options.rateLimiter
+ *    Limiter for routes that use `Route#rateLimit`. Defaults to a limiter backed by a
+ *    `MemoryCounterStore`.
+ * @param {{windowSeconds:Number, max:Number, key:function(Request):String}=} options.rateLimit
+ *    Default rate limit for all routes. See `Route#rateLimit`.
+ * @param {Number=} options.timeout
+ *    Default timeout in milliseconds for all routes. See `Route#timeout`.
+ * @param {String=} options.authenticateChallenge
+ *    Value of the `WWW-Authenticate` header sent with 401 responses. Defaults to 'Token'.
+ * @param {Object.<String, function(Object, *, Request):(Boolean|Promise)>=} options.policies
+ *    Authorization policies keyed by permission name. See `Route#can`.
+ * @param {function(Object):Array.<String>=} options.roleResolver
+ *    Returns the roles of a user. See `Route#roles`.
+ * @param {Number=} options.invalidParamStatusCode
+ *    Status code sent if a path parameter cannot be parsed. Either 400 (the default) or 404.
+ *    See `Route#param`.
+ * @param {({transaction:function}|function(Request):{transaction:function})=} options.transactionProvider
+ *    Starts the transactions of `.transactional()` routes. See `Route#transactional`.
+ * @param {Object.<String, Route>=} options.namedRoutes
+ *    Registry of named routes. Routers that share the registry can generate URLs for
+ *    each other's routes. See `Route#name`.
  */
-function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode) {
+function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode, options) {
+  options = options || {};
+
   /**
    * @type {express.Router}
    */
@@ -23,6 +67,87 @@ function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode) {
    * @type {Number}
    */
   this.unauthenticatedStatusCode = unauthenticatedStatusCode || 401;
+  /**
+   * @type {String}
+   */
+  this.rootPath = options.rootPath || '/';
+  /**
+   * All routes created using this router in the order they were created.
+   *
+   * @type {Array.<Route>}
+   */
+  this.routes = [];
+  /**
+   * Serializers used to create the response body from objects returned by route handlers.
+   *
+   * @type {Object.<String, function(*, Request):(String|Buffer)>}
+   */
+  this.serializers = _.assign({}, serializers.defaults, options.serializers);
+  /**
+   * @type {ResponseCache}
+   */
+  this.responseCache = options.responseCache || new ResponseCache(new MemoryCacheStore());
+  /**
+   * @type {IdempotencyCache}
+   */
+  this.idempotencyCache = options.idempotencyCache || new IdempotencyCache(new MemoryCacheStore());
+  /**
+   * @type {RateLimiter}
+   */
+  this.rateLimiter = options.rateLimiter || new RateLimiter(new MemoryCounterStore());
+  /**
+   * @type {Object}
+   */
+  this.defaultRateLimit = options.rateLimit || null;
+  /**
+   * @type {Number}
+   */
+  this.defaultTimeout = options.timeout || 0;
+  /**
+   * @type {String}
+   */
+  this.authenticateChallenge = options.authenticateChallenge || 'Token';
+  /**
+   * @type {Object.<String, function(Object, *, Request):(Boolean|Promise)>}
+   */
+  this.policies = options.policies || {};
+  /**
+   * @type {function(Object):Array.<String>}
+   */
+  this.roleResolver = options.roleResolver || null;
+  /**
+   * @type {Number}
+   */
+  this.invalidParamStatusCode = options.invalidParamStatusCode || 400;
+  /**
+   * @type {{transaction:function}|function(Request):{transaction:function}}
+   */
+  this.transactionProvider = options.transactionProvider || null;
+  /**
+   * @type {Object.<String, Route>}
+   */
+  this.namedRoutes = options.namedRoutes || {};
+  /**
+   * Path prefix of the routes created using this router. Set for groups.
+   *
+   * @type {String}
+   */
+  this.pathPrefix = '';
+  /**
+   * Express middleware installed to all routes created using this router.
+   *
+   * @type {Array.<function (Request, Response, function)>}
+   */
+  this.groupMiddleware = [];
+  /**
+   * Auth handlers installed to all routes created using this router.
+   *
+   * @type {Array.<function(Request)>}
+   */
+  this.groupAuthHandlers = [];
+
+  expressRouter.use(_.bind(this.urlForMiddleware_, this));
+  expressRouter.use(_.bind(this.optionsMiddleware_, this));
 }
 
 /**
@@ -61,8 +186,10 @@ function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode) {
  *   });
  * ```
  *
- * Add `.auth` method call to check if a user is logged in. If no user is logged in a
- * 401 error is sent. This can be overridden with the unauthenticatedStatusCode option.
+ * Routes are authenticated unless they are made public using `.public()`. If there is no
+ * `req.user` a 401 error with a `WWW-Authenticate` header is sent. The status code can be
+ * overridden with the unauthenticatedStatusCode option. Add `.auth` method call to make the
+ * authentication explicit.
  *
  * ```js
  * router
@@ -75,8 +202,8 @@ function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode) {
  * ```
  *
  * The `auth` method can also take a function as a parameter. The function should return
- * true/false or a Promise that evaluates to true or false. If false is returned a 403
- * response is sent.
+ * true/false or a Promise that evaluates to true or false. The functions are only called
+ * for authenticated users. If false is returned a 403 response is sent.
  *
  * ```js
  * router
@@ -90,6 +217,48 @@ function Router(expressRouter, defaultAuthHandler, unauthenticatedStatusCode) {
  *   });
  * ```
  *
+ * Common checks can be declared using `.roles('admin')` and `.can('invoice:update', loadInvoice)`
+ * instead of writing the auth functions by hand. See `Route#roles` and `Route#can`.
+ *
+ * Objects returned from the handler are serialized using the serializer that best matches
+ * the request's `Accept` header. JSON, CSV, XML and NDJSON are supported out of the box and
+ * more serializers can be registered using the `serializers` option. If none of the serializers
+ * is acceptable a 406 error is sent. JSON is used if the request has no `Accept` header.
+ *
+ * ```js
+ * router
+ *   .get('/reports/sales')
+ *   .handler(function (req) {
+ *     // Sent as CSV if the request has `Accept: text/csv` header.
+ *     return [{month: 'January', total: 1000}, {month: 'February', total: 1200}];
+ *   });
+ * ```
+ *
+ * Large responses can be streamed by returning a readable stream or an async iterator. Streams
+ * are piped to the response as-is. The values of an async iterator are encoded as a JSON array,
+ * or as NDJSON if the request's `Accept` header prefers `application/x-ndjson`.
+ *
+ * ```js
+ * router
+ *   .get('/events/export')
+ *   .handler(function (req) {
+ *     return req.models.Event.query().stream(); // Any object stream that is also an async iterator.
+ *   });
+ * ```
+ *
+ * By default the response status is 200. Return a `Result` created using `Router#response`
+ * to set the status code and headers.
+ *
+ * ```js
+ * router
+ *   .delete('/some/path/:id')
+ *   .handler(function (req) {
+ *     return req.models.SomeSqlModel.query().deleteById(req.params.id).then(function () {
+ *       return router.response(204);
+ *     });
+ *   });
+ * ```
+ *
  * The `auth` and `handler` share a request specific context.
  *
  * ```js
@@ -156,17 +325,418 @@ Router.prototype.delete = function (path) {
   return this._route(path, 'delete');
 };
 
+/**
+ * Creates a HEAD request handler that plays nice with promises.
+ *
+ * HEAD requests are also served by GET handlers of the same path. Use this only if the
+ * HEAD response needs to be created differently.
+ *
+ * @see Router#get For detailed documentation on how to use this method.
+ * @param {String} path
+ * @returns {Route}
+ */
+Router.prototype.head = function (path) {
+  return this._route(path, 'head');
+};
+
+/**
+ * Creates an OPTIONS request handler that plays nice with promises.
+ *
+ * If no OPTIONS handler is registered for a path, the middleware of `methodNotAllowed.js`
+ * answers OPTIONS requests with an empty response that has the `Allow` header.
+ *
+ * @see Router#get For detailed documentation on how to use this method.
+ * @param {String} path
+ * @returns {Route}
+ */
+Router.prototype.options = function (path) {
+  return this._route(path, 'options');
+};
+
+/**
+ * Creates a request handler for all HTTP methods that plays nice with promises.
+ *
+ * @see Router#get For detailed documentation on how to use this method.
+ * @param {String} path
+ * @returns {Route}
+ */
+Router.prototype.all = function (path) {
+  return this._route(path, 'all');
+};
+
+/**
+ * Creates a Server-Sent Events route.
+ *
+ * The route is a GET route with the usual middleware, auth and `.public()` semantics. Its handler
+ * is called with the request and an `EventChannel` instead of the response. The connection stays
+ * open until the channel is closed or the client disconnects. The handler can return a promise
+ * to delay opening the stream. If the promise is rejected before anything has been sent, a normal
+ * error response is sent.
+ *
+ * ```js
+ * router
+ *   .sse('/notifications/count')
+ *   .handler(function (req, channel) {
+ *     var send = function () {
+ *       return countUnread(req.user).then(function (count) {
+ *         channel.send('count', {count: count});
+ *       });
+ *     };
+ *
+ *     var interval = setInterval(send, 5000);
+ *     channel.on('close', function () {
+ *       clearInterval(interval);
+ *     });
+ *
+ *     return send();
+ *   });
+ * ```
+ *
+ * @see EventChannel
+ * @param {String} path
+ * @param {{heartbeatSeconds:Number, retryMs:Number}=} options
+ *    `heartbeatSeconds` defaults to 15. Zero disables the heartbeat. `retryMs` is the
+ *    reconnection delay sent to the client.
+ * @returns {Route}
+ */
+Router.prototype.sse = function (path, options) {
+  return this._route(path, 'get', {
+    eventStream: _.defaults({}, options, {heartbeatSeconds: 15, retryMs: null})
+  });
+};
+
+/**
+ * Creates a WebSocket route.
+ *
+ * Upgrade requests are handled like GET requests with the usual middleware, auth and `.public()`
+ * semantics: the session token is looked up by `token-session` and the auth handlers must allow
+ * the request before the upgrade is accepted. Refused requests get a normal HTTP error response.
+ * Plain GET requests to the route get 426. Browsers can't set headers for WebSocket requests, so
+ * the token is usually sent in a cookie or in the query parameter given by the `tokenQueryParam`
+ * option of `token-session`.
+ *
+ * Upgrade requests from browsers on other sites get 403 unless their origin is listed in the
+ * `allowedOrigins` option. Otherwise any site could open a connection with the cookies of the user.
+ *
+ * The handler is called with the request and a `WebSocketConnection` instead of the response.
+ * The connection stays open until either side closes it. If the handler's promise is rejected,
+ * the connection is closed with code 1011.
+ *
+ * ```js
+ * router
+ *   .ws('/echo')
+ *   .handler(function (req, connection) {
+ *     connection.on('message', function (message) {
+ *       connection.send({echo: message, user: req.user.id});
+ *     });
+ *   });
+ * ```
+ *
+ * @see WebSocketConnection
+ * @param {String} path
+ * @param {Object=} options
+ * @param {Boolean=} options.json
+ *    Messages are sent and received as JSON unless false.
+ * @param {Number=} options.pingSeconds
+ *    The client is pinged every `pingSeconds` (defaults to 30) and the connection is terminated
+ *    if it doesn't answer. Zero disables pinging.
+ * @param {Array.<String>=} options.allowedOrigins
+ *    Origins, like 'https://example.com', whose pages may connect. '*' allows all. Defaults to
+ *    the origin of the server itself. Requests without an `Origin` header, like those of other
+ *    clients than browsers, are always allowed.
+ * @param {Number=} options.maxPayload
+ *    Maximum size of a received message in bytes. Defaults to 64 KiB. Larger messages close
+ *    the connection with 1009.
+ * @param {Number=} options.maxQueuedMessages
+ *    Maximum number of received messages waiting for `receive`. Defaults to 100. More messages
+ *    close the connection with 1008.
+ * @returns {Route}
+ */
+Router.prototype.ws = function (path, options) {
+  return this._route(path, 'get', {
+    webSocket: _.defaults({}, options, {
+      json: true,
+      pingSeconds: 30,
+      allowedOrigins: null,
+      maxPayload: 64 * 1024,
+      maxQueuedMessages: 100
+    })
+  });
+};
+
+/**
+ * Creates a group of routes that share a path prefix, express middleware and auth handlers.
+ *
+ * The group is a `Router` whose routes inherit the prefix and the middleware and auth handlers
+ * installed to this router and the group using `use` and `auth`. Groups can be nested. A route
+ * can still opt out of the auth handlers using `.public()`.
+ *
+ * ```js
+ * router.group('/admin', function (admin) {
+ *   admin.use(auditLog);
+ *   admin.auth(function (req) {
+ *     return req.user.isAdmin;
+ *   });
+ *
+ *   // GET /admin/users
+ *   admin.get('/users').handler(function (req) {
+ *     ...
+ *   });
+ * });
+ * ```
+ *
+ * @param {String} prefix
+ * @param {function(Router)} callback
+ * @returns {Router}
+ *    The group.
+ */
+Router.prototype.group = function (prefix, callback) {
+  var group = Object.create(this);
+  var pathPrefix = joinPaths(this.pathPrefix, prefix);
+
+  // An empty prefix only creates a new scope for `use` and `auth`.
+  group.pathPrefix = pathPrefix === '/' ? '' : pathPrefix;
+  group.groupMiddleware = this.groupMiddleware.slice();
+  group.groupAuthHandlers = this.groupAuthHandlers.slice();
+
+  if (callback) {
+    callback(group);
+  }
+
+  return group;
+};
+
+/**
+ * Installs an express middleware to all routes created after this call.
+ *
+ * @see Router#group for examples.
+ * @param {function(IncomingMessage, ServerResponse, function)} middleware
+ * @returns {Router}
+ */
+Router.prototype.use = function (middleware) {
+  this.groupMiddleware.push(middleware);
+  return this;
+};
+
+/**
+ * Installs an auth handler to all routes created after this call.
+ *
+ * @see Router#group for examples.
+ * @param {function(IncomingMessage)} authHandler
+ * @returns {Router}
+ */
+Router.prototype.auth = function (authHandler) {
+  this.groupAuthHandlers.push(authHandler);
+  return this;
+};
+
+/**
+ * Removes a response cached using `Route#cache` from the cache.
+ *
+ * @param {String} key
+ *    The cache key. By default the full request path including the `rootPath` and the query string.
+ * @returns {Promise}
+ */
+Router.prototype.invalidateCache = function (key) {
+  return this.responseCache.invalidate(key);
+};
+
+/**
+ * Builds a URL path for a named route.
+ *
+ * The path includes the `rootPath` of the route. Use `req.urlFor` in handlers to get an
+ * absolute URL.
+ *
+ * ```js
+ * router.url('user.pets', {id: 1}, {species: 'cat'});
+ * // -> '/api/v1/users/1/pets?species=cat'
+ * ```
+ *
+ * @see Route#name
+ * @param {String} name
+ * @param {Object=} params
+ *    Path parameters. Missing and unknown parameters throw an error.
+ * @param {Object=} query
+ * @returns {String}
+ */
+Router.prototype.url = function (name, params, query) {
+  var route = this.namedRoutes[name];
+
+  if (!route) {
+    throw new Error('No route named "' + name + '"');
+  }
+
+  return route.url(params, query);
+};
+
+/**
+ * Creates a strong ETag for a value. Routes that use `Route#ifMatch` should send an ETag created
+ * this way from their `.etag()` GET route, since the ETags generated from the serialized body
+ * depend on the negotiated media type and can't be computed again in `currentEtag`.
+ *
+ * ```js
+ * router.get('/users/:id').etag().handler(function (req) {
+ *   return req.models.User.findById(req.params.id).then(function (user) {
+ *     return router.response(200, user, {ETag: router.generateEtag(user.version)});
+ *   });
+ * });
+ * ```
+ *
+ * @param {*} value
+ *    Strings and buffers are hashed as they are. Other values are hashed as JSON.
+ * @param {Boolean=} weak
+ * @returns {String}
+ */
+Router.prototype.generateEtag = function (value, weak) {
+  var body = _.isString(value) || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+  return conditional.generateEtag(body, weak);
+};
+
+/**
+ * Creates a handler return value with an explicit status code and headers.
+ *
+ * @see Router#get for examples.
+ * @param {Number} statusCode
+ * @param {*=} body
+ *    Anything a handler could return. If null or undefined, the response has no body.
+ * @param {Object.<String, String>=} headers
+ * @returns {Result}
+ */
+Router.prototype.response = function (statusCode, body, headers) {
+  return new Result(statusCode, body, headers);
+};
+
 /**
  * @private
  */
-Router.prototype._route = function (path, method) {
-  return new Route({
+Router.prototype._route = function (path, method, extraOptions) {
+  if (this.pathPrefix) {
+    if (!_.isString(path)) {
+      throw new Error('Only string paths can be used in a group. Group: ' + this.pathPrefix);
+    }
+    path = joinPaths(this.pathPrefix, path);
+  }
+
+  var route = new Route(_.assign({
     path: path,
     method: method,
+    rootPath: this.rootPath,
     expressRouter: this.expressRouter,
+    serializers: this.serializers,
+    responseCache: this.responseCache,
+    idempotencyCache: this.idempotencyCache,
+    rateLimiter: this.rateLimiter,
+    rateLimit: this.defaultRateLimit,
+    timeout: this.defaultTimeout,
     defaultAuthHandler: this.defaultAuthHandler,
-    unauthenticatedStatusCode: this.unauthenticatedStatusCode
+    unauthenticatedStatusCode: this.unauthenticatedStatusCode,
+    authenticateChallenge: this.authenticateChallenge,
+    policies: this.policies,
+    roleResolver: this.roleResolver,
+    namedRoutes: this.namedRoutes,
+    invalidParamStatusCode: this.invalidParamStatusCode,
+    transactionProvider: this.transactionProvider
+  }, extraOptions));
+
+  _.forEach(this.groupMiddleware, function (middleware) {
+    route.middleware(middleware);
+  });
+
+  _.forEach(this.groupAuthHandlers, function (authHandler) {
+    route.auth(authHandler);
+  });
+
+  this.routes.push(route);
+  return route;
+};
+
+/**
+ * Adds `req.urlFor(name, params, query)` that works like `Router#url` but returns an absolute
+ * URL based on the protocol and host of the request.
+ *
+ * @private
+ */
+Router.prototype.urlForMiddleware_ = function (req, res, next) {
+  var self = this;
+
+  req.urlFor = function (name, params, query) {
+    return req.protocol + '://' + req.get('host') + self.url(name, params, query);
+  };
+
+  next();
+};
+
+/**
+ * Returns the part of `pathname` under the `rootPath` of the router or null if the path is
+ * not under it. Matches case insensitively like express does when mounting the router.
+ *
+ * @param {String} pathname
+ * @returns {?String}
+ */
+Router.prototype.relativePath = function (pathname) {
+  var prefix = _.trimEnd(this.rootPath || '', '/').toLowerCase();
+  var lowerPath = pathname.toLowerCase();
+
+  if (!prefix) {
+    return pathname;
+  } else if (lowerPath === prefix) {
+    return '/';
+  } else if (_.startsWith(lowerPath, prefix + '/')) {
+    return pathname.slice(prefix.length);
+  }
+
+  return null;
+};
+
+/**
+ * Lists the methods of the routes registered for a path. GET routes also serve HEAD requests.
+ *
+ * @param {String} path
+ *    Request path relative to the `rootPath` of the router.
+ * @returns {Array.<String>}
+ *    Lower case method names. Contains 'all' if a route created using `Router#all` matches the path.
+ */
+Router.prototype.allowedMethods = function (path) {
+  var routes = _.filter(this.routes, function (route) {
+    return route.handlerFunc && route.matchesPath(path);
   });
+
+  var methods = _.uniq(_.map(routes, 'method'));
+
+  if (_.includes(methods, 'get')) {
+    methods = _.union(methods, ['head']);
+  }
+
+  return methods;
 };
 
+/**
+ * Leaves OPTIONS requests that no route of this router handles to the middleware of
+ * `methodNotAllowed.js`. Otherwise express would answer them with only the methods of
+ * this router.
+ *
+ * @private
+ */
+Router.prototype.optionsMiddleware_ = function (req, res, next) {
+  if (req.method !== 'OPTIONS') {
+    return next();
+  }
+
+  var methods = this.allowedMethods(req.path);
+
+  if (_.includes(methods, 'options') || _.includes(methods, 'all')) {
+    next();
+  } else {
+    next('router');
+  }
+};
+
+/**
+ * @private
+ */
+function joinPaths(prefix, path) {
+  var joined = (prefix + '/' + path).replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
 module.exports = Router;
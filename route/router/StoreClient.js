@@ -0,0 +1,36 @@
+"use strict";
+
+/**
+ * Base class of the router's store users: `ResponseCache`, `RateLimiter` and `IdempotencyCache`.
+ *
+ * Connects the store and keeps track of whether it is connected so that the subclasses can
+ * decide what to do while it is not.
+ *
+ * @constructor
+ * @param {(SessionStore|CounterStore)} store
+ *    The store is connected by the constructor.
+ */
+function StoreClient(store) {
+  var self = this;
+
+  /**
+   * @type {(SessionStore|CounterStore)}
+   */
+  this.store = store;
+  /**
+   * @type {Boolean}
+   */
+  this.connected = false;
+
+  store.on('connect', function () {
+    self.connected = true;
+  });
+
+  store.on('disconnect', function () {
+    self.connected = false;
+  });
+
+  store.connect();
+}
+
+module.exports = StoreClient;
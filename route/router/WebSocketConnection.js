@@ -0,0 +1,234 @@
+"use strict";
+
+var _ = require('lodash')
+  , util = require('util')
+  , EventEmitter = require('events').EventEmitter
+  , Promise = require('bluebird')
+  , log = require('dodo/logger').getLogger('dodo-core-features.router');
+
+/**
+ * WebSocket connection given to the handlers of `Router#ws` routes.
+ *
+ * Messages can be consumed either by listening to the `message` event or by calling `receive`.
+ * Messages that arrive while nobody is listening are queued for `receive`. In JSON mode (the
+ * default) text messages are parsed and sent values are serialized as JSON. A message that is
+ * not valid JSON closes the connection with code 1007. If `maxQueuedMessages` messages are
+ * already waiting in the queue, the next one closes the connection with code 1008.
+ *
+ * ```js
+ * router
+ *   .ws('/chat')
+ *   .handler(function (req, connection) {
+ *     return connection.send({hello: req.user.name}).then(function loop() {
+ *       return connection.receive().then(function (message) {
+ *         return chat.post(req.user, message.text);
+ *       }).then(loop);
+ *     });
+ *   });
+ * ```
+ *
+ * Emits `message` for each received message and `close` with the close code and reason.
+ *
+ * @constructor
+ * @param {WebSocket} socket
+ *    A `ws` WebSocket.
+ * @param {{json:Boolean, pingSeconds:Number, maxQueuedMessages:Number}=} options
+ */
+function WebSocketConnection(socket, options) {
+  EventEmitter.call(this);
+  options = options || {};
+
+  var self = this;
+
+  /**
+   * @type {WebSocket}
+   */
+  this.socket = socket;
+  /**
+   * @type {Boolean}
+   */
+  this.json = options.json !== false;
+  /**
+   * @type {Number}
+   */
+  this.maxQueuedMessages = options.maxQueuedMessages || 100;
+  /**
+   * @type {Boolean}
+   */
+  this.closed = false;
+  /**
+   * @type {Array.<*>}
+   */
+  this.queue_ = [];
+  /**
+   * @type {Array.<{resolve:function, reject:function}>}
+   */
+  this.receivers_ = [];
+  /**
+   * @type {Promise.<{code:Number, reason:String}>}
+   */
+  this.closePromise_ = new Promise(function (resolve) {
+    self.once('close', function (code, reason) {
+      resolve({code: code, reason: reason});
+    });
+  });
+
+  socket.on('message', function (data) {
+    self.onMessage_(data);
+  });
+
+  socket.on('close', function (code, reason) {
+    self.onClose_(code, reason);
+  });
+
+  socket.on('error', function (err) {
+    log.error({ error: err }, 'WebSocket connection failed');
+  });
+
+  if (options.pingSeconds) {
+    this.startPinging_(options.pingSeconds * 1000);
+  }
+}
+
+util.inherits(WebSocketConnection, EventEmitter);
+
+/**
+ * @param {*} data
+ * @returns {Promise}
+ *    Resolved when the message has been written.
+ */
+WebSocketConnection.prototype.send = function (data) {
+  var self = this;
+
+  if (this.closed) {
+    return Promise.reject(new Error('WebSocket connection is closed'));
+  }
+
+  return new Promise(function (resolve, reject) {
+    var message = self.json && !Buffer.isBuffer(data) ? JSON.stringify(data) : data;
+
+    self.socket.send(message, function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+/**
+ * @returns {Promise}
+ *    Resolved with the next message. Rejected if the connection is closed before that.
+ */
+WebSocketConnection.prototype.receive = function () {
+  var self = this;
+
+  if (this.queue_.length) {
+    return Promise.resolve(this.queue_.shift());
+  }
+
+  if (this.closed) {
+    return Promise.reject(new Error('WebSocket connection is closed'));
+  }
+
+  return new Promise(function (resolve, reject) {
+    self.receivers_.push({resolve: resolve, reject: reject});
+  });
+};
+
+/**
+ * @param {Number=} code
+ *    Defaults to 1000.
+ * @param {String=} reason
+ * @returns {Promise.<{code:Number, reason:String}>}
+ *    Resolved when the connection has been closed.
+ */
+WebSocketConnection.prototype.close = function (code, reason) {
+  if (!this.closed) {
+    this.socket.close(code || 1000, reason);
+  }
+
+  return this.closePromise_;
+};
+
+/**
+ * @returns {Promise.<{code:Number, reason:String}>}
+ *    Resolved when the connection is closed by either side.
+ */
+WebSocketConnection.prototype.waitForClose = function () {
+  return this.closePromise_;
+};
+
+/**
+ * @private
+ */
+WebSocketConnection.prototype.onMessage_ = function (data) {
+  var message = data;
+
+  if (this.json && _.isString(data)) {
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      this.close(1007, 'Invalid JSON');
+      return;
+    }
+  }
+
+  if (this.receivers_.length) {
+    this.receivers_.shift().resolve(message);
+  } else if (!this.listenerCount('message')) {
+    if (this.queue_.length >= this.maxQueuedMessages) {
+      this.close(1008, 'Too many unread messages');
+      return;
+    }
+
+    this.queue_.push(message);
+  }
+
+  this.emit('message', message);
+};
+
+/**
+ * @private
+ */
+WebSocketConnection.prototype.onClose_ = function (code, reason) {
+  if (this.closed) {
+    return;
+  }
+
+  this.closed = true;
+  clearInterval(this.pingTimer_);
+
+  _.forEach(this.receivers_.splice(0), function (receiver) {
+    receiver.reject(new Error('WebSocket connection is closed'));
+  });
+
+  this.emit('close', code, reason);
+};
+
+/**
+ * Terminates connections whose client doesn't answer pings.
+ *
+ * @private
+ */
+WebSocketConnection.prototype.startPinging_ = function (intervalMs) {
+  var self = this;
+  var alive = true;
+
+  this.socket.on('pong', function () {
+    alive = true;
+  });
+
+  this.pingTimer_ = setInterval(function () {
+    if (!alive) {
+      self.socket.terminate();
+      return;
+    }
+
+    alive = false;
+    self.socket.ping();
+  }, intervalMs);
+};
+
+module.exports = WebSocketConnection;
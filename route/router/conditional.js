@@ -0,0 +1,140 @@
+"use strict";
+
+var _ = require('lodash')
+  , crypto = require('crypto');
+
+/**
+ * Creates an entity tag for a response body.
+ *
+ * @param {String|Buffer} body
+ * @param {Boolean=} weak
+ * @returns {String}
+ */
+function generateEtag(body, weak) {
+  var length = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(body, 'utf8');
+  var hash = crypto.createHash('sha1').update(body, 'utf8').digest('base64').substring(0, 27);
+  var etag = '"' + length.toString(16) + '-' + hash + '"';
+  return weak ? 'W/' + etag : etag;
+}
+
+/**
+ * Tests if the client's cached representation is still valid based on the `If-None-Match`
+ * and `If-Modified-Since` request headers. `If-Modified-Since` is ignored if the request
+ * has `If-None-Match` header.
+ *
+ * @param {Request} req
+ * @param {String=} etag
+ *    ETag of the response.
+ * @param {String|Date=} lastModified
+ *    Last-Modified value of the response.
+ * @returns {Boolean}
+ */
+function isNotModified(req, etag, lastModified) {
+  var ifNoneMatch = requestHeader(req, 'if-none-match');
+  var ifModifiedSince = requestHeader(req, 'if-modified-since');
+
+  if (ifNoneMatch) {
+    return !!etag && (ifNoneMatch.trim() === '*' || _.includes(parseEtags(ifNoneMatch), opaqueTag(etag)));
+  }
+
+  if (ifModifiedSince && lastModified) {
+    var modified = toTime(lastModified);
+    var since = toTime(ifModifiedSince);
+    return !_.isNaN(modified) && !_.isNaN(since) && modified <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Tests if the `If-Match` request header allows modifying a resource whose current ETag
+ * is `currentEtag`. Uses the strong comparison: weak ETags never match.
+ *
+ * @param {Request} req
+ * @param {String} currentEtag
+ *    ETag of the current representation or null if the resource doesn't exist.
+ * @returns {Boolean}
+ */
+function ifMatchSucceeds(req, currentEtag) {
+  var ifMatch = requestHeader(req, 'if-match');
+
+  if (!ifMatch) {
+    return true;
+  }
+
+  if (!currentEtag) {
+    return false;
+  }
+
+  if (ifMatch.trim() === '*') {
+    return true;
+  }
+
+  return !isWeak(currentEtag) && _.some(parseEtags(ifMatch, true), function (etag) {
+    return !isWeak(etag) && etag === currentEtag;
+  });
+}
+
+/**
+ * @param {Request} req
+ * @returns {Boolean}
+ */
+function hasIfMatch(req) {
+  return !!requestHeader(req, 'if-match');
+}
+
+/**
+ * Formats a header value. Dates are formatted as HTTP-dates.
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function formatHeaderValue(value) {
+  return _.isDate(value) ? value.toUTCString() : value;
+}
+
+module.exports = {
+  generateEtag: generateEtag,
+  isNotModified: isNotModified,
+  ifMatchSucceeds: ifMatchSucceeds,
+  hasIfMatch: hasIfMatch,
+  formatHeaderValue: formatHeaderValue
+};
+
+/**
+ * @private
+ */
+function requestHeader(req, name) {
+  return _.get(req, ['headers', name]);
+}
+
+/**
+ * @private
+ */
+function parseEtags(header, keepWeakPrefix) {
+  return _.map(header.match(/(W\/)?"[^"]*"/g), function (etag) {
+    return keepWeakPrefix ? etag : opaqueTag(etag);
+  });
+}
+
+/**
+ * @private
+ */
+function opaqueTag(etag) {
+  return isWeak(etag) ? etag.substring(2) : etag;
+}
+
+/**
+ * @private
+ */
+function isWeak(etag) {
+  return etag.substring(0, 2) === 'W/';
+}
+
+/**
+ * @private
+ */
+function toTime(value) {
+  // HTTP-dates have a one second precision.
+  return Math.floor(new Date(value).getTime() / 1000);
+}
@@ -0,0 +1,91 @@
+"use strict";
+
+var _ = require('lodash');
+
+/**
+ * Finds conflicting routes among the routes of one `Router`.
+ *
+ * Two routes are duplicates if they have the same method and the same path pattern. Parameter
+ * names don't matter: `/users/:id` and `/users/:userId` are duplicates. Express only ever calls
+ * the first one.
+ *
+ * A parameterized route shadows a later static route if it matches the static route's path,
+ * like `/users/:id` registered before `/users/me`.
+ *
+ * Routes without a handler and routes whose path is a `RegExp` are ignored.
+ *
+ * @param {Array.<Route>} routes
+ *    Routes in the order they were registered.
+ * @returns {{duplicates:Array.<Array.<Route>>, shadowed:Array.<{route:Route, shadowedBy:Route}>}}
+ */
+function findConflicts(routes) {
+  var duplicates = [];
+  var shadowed = [];
+
+  routes = _.filter(routes, function (route) {
+    return route.handlerFunc && _.isString(route.path);
+  });
+
+  _.forEach(_.groupBy(routes, routeKey), function (sameRoutes) {
+    if (sameRoutes.length > 1) {
+      duplicates.push(sameRoutes);
+    }
+  });
+
+  _.forEach(routes, function (route, index) {
+    if (!isStatic(route.path)) {
+      return;
+    }
+
+    var shadowedBy = _.find(routes.slice(0, index), function (earlier) {
+      return !isStatic(earlier.path)
+        && (earlier.method === route.method || earlier.method === 'all')
+        && earlier.matchesPath(route.path);
+    });
+
+    if (shadowedBy) {
+      shadowed.push({route: route, shadowedBy: shadowedBy});
+    }
+  });
+
+  return {
+    duplicates: duplicates,
+    shadowed: shadowed
+  };
+}
+
+/**
+ * Describes a route for error and warning messages.
+ *
+ * @param {Route} route
+ * @returns {String}
+ */
+function describeRoute(route) {
+  var description = route.method.toUpperCase() + ' ' + route.fullPath();
+  return route.sourceFile ? description + ' (' + route.sourceFile + ')' : description;
+}
+
+module.exports = {
+  findConflicts: findConflicts,
+  describeRoute: describeRoute
+};
+
+/**
+ * @private
+ */
+function routeKey(route) {
+  var pattern = route.path.toLowerCase().replace(/:\w+/g, ':');
+
+  if (pattern.length > 1) {
+    pattern = pattern.replace(/\/$/, '');
+  }
+
+  return route.method + ' ' + pattern;
+}
+
+/**
+ * @private
+ */
+function isStatic(routePath) {
+  return !/[:*?+()]/.test(routePath);
+}
@@ -0,0 +1,43 @@
+"use strict";
+
+var _ = require('lodash')
+  , HTTPError = require('dodo/errors').HTTPError;
+
+/**
+ * Returns a middleware that responds with 405 Method Not Allowed if a route is registered
+ * for the request path but not for the request method. It also answers OPTIONS requests for
+ * paths that don't have an OPTIONS handler. Both responses have the `Allow` header listing
+ * the methods registered for the path in any of the routers.
+ *
+ * The middleware must be installed after all the routers so that a path whose methods are
+ * split between several routers is handled by all of them before a 405 is given.
+ *
+ * @param {function():Array.<Router>} getRouters
+ * @returns {function(Request, Response, function)}
+ */
+function createMiddleware(getRouters) {
+  return function (req, res, next) {
+    var method = req.method.toLowerCase();
+    var methods = _.uniq(_.flatMap(getRouters(), function (router) {
+      var requestPath = router.relativePath(req.path);
+      return requestPath === null ? [] : router.allowedMethods(requestPath);
+    }));
+
+    if (_.isEmpty(methods) || _.includes(methods, 'all') || _.includes(methods, method)) {
+      return next();
+    }
+
+    methods = _.union(methods, ['options']);
+    res.set('Allow', _.map(methods, _.toUpper).join(', '));
+
+    if (method === 'options') {
+      res.status(204).end();
+    } else {
+      next(new HTTPError(405));
+    }
+  };
+}
+
+module.exports = {
+  createMiddleware: createMiddleware
+};
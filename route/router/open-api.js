@@ -0,0 +1,239 @@
+"use strict";
+
+var _ = require('lodash')
+  , path = require('path')
+  , parsers = require('./parsers');
+
+/**
+ * Builds an OpenAPI 3 document from the routes registered to the given `Router` instances.
+ *
+ * ```js
+ * var document = buildDocument([router1, router2], {
+ *   info: {title: 'My API', version: '1.0.0'}
+ * });
+ * ```
+ *
+ * Routes whose path is a `RegExp` and routes created using `Router#all` cannot be described
+ * and are left out of the document. OpenAPI has no optional path parameters so a route with
+ * optional parameters like `/users/:id?` is described once with and once without each of them.
+ *
+ * @param {Array.<Router>} routers
+ * @param {Object=} options
+ * @param {{title:String, version:String}=} options.info
+ *    The `info` object of the document.
+ * @param {String=} options.tokenHeader
+ *    Name of the header that holds the session token. Defaults to 'X-Auth-Token'.
+ * @returns {Object}
+ */
+function buildDocument(routers, options) {
+  options = options || {};
+
+  var paths = {};
+
+  _.forEach(routers, function (router) {
+    _.forEach(router.routes, function (route) {
+      if (!route.handlerFunc || !_.isString(route.path) || route.method === 'all') {
+        return;
+      }
+
+      var fullPath = path.posix.join(route.rootPath || '/', route.path);
+
+      _.forEach(pathVariants(fullPath), function (variant) {
+        var openApiPath = toOpenApiPath(variant);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = buildOperation(route, variant);
+      });
+    });
+  });
+
+  return {
+    openapi: '3.0.0',
+    info: _.defaults({}, options.info, {
+      title: 'API',
+      version: '0.0.0'
+    }),
+    paths: paths,
+    components: {
+      securitySchemes: {
+        tokenSession: {
+          type: 'apiKey',
+          in: 'header',
+          name: options.tokenHeader || 'X-Auth-Token'
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildDocument: buildDocument
+};
+
+/**
+ * @private
+ */
+function buildOperation(route, fullPath) {
+  var schemas = route.validationSchemas || {};
+  var types = route.parameterTypes || {};
+  var operation = {
+    parameters: []
+      .concat(buildPathParameters(fullPath, schemas.params, types.params))
+      .concat(buildParameters('query', schemas.query, types.query))
+      .concat(buildParameters('header', schemas.headers)),
+    responses: {
+      '200': {description: 'Successful response'}
+    }
+  };
+
+  if (route.eventStreamOptions) {
+    operation.responses['200'] = {
+      description: 'Server-Sent Events stream',
+      content: {'text/event-stream': {schema: {type: 'string'}}}
+    };
+  }
+
+  if (route.webSocketOptions) {
+    delete operation.responses['200'];
+    operation.responses['101'] = {description: 'Switched to the WebSocket protocol'};
+    operation.responses['426'] = {description: 'WebSocket upgrade required'};
+  }
+
+  if (route.paginationOptions) {
+    operation.parameters.push(
+      {name: 'page', in: 'query', required: false, schema: {type: 'integer', minimum: 1}},
+      {name: 'limit', in: 'query', required: false, schema: {type: 'integer', minimum: 1, maximum: route.paginationOptions.maxPageSize}}
+    );
+    operation.responses['206'] = {description: 'Partial results'};
+  }
+
+  if (route.idempotencyOptions) {
+    operation.parameters.push(
+      {name: 'Idempotency-Key', in: 'header', required: false, schema: {type: 'string', maxLength: 255}}
+    );
+    operation.responses['409'] = {description: 'A request with the same Idempotency-Key is being handled'};
+    operation.responses['422'] = {description: 'Idempotency-Key was already used for a different request'};
+  }
+
+  if (route.routeName) {
+    operation.operationId = route.routeName;
+  }
+
+  if (route.deprecation) {
+    operation.deprecated = true;
+
+    if (route.deprecation.sunset) {
+      operation['x-sunset'] = route.deprecation.sunset.toISOString();
+    }
+  }
+
+  if (route.descriptionText) {
+    operation.description = route.descriptionText;
+  }
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': {schema: schemas.body}
+      }
+    };
+  }
+
+  if (!_.isEmpty(schemas)) {
+    operation.responses['400'] = {description: 'Invalid request'};
+  }
+
+  if (route._public) {
+    operation.security = [];
+  } else {
+    operation.security = [{tokenSession: []}];
+    operation.responses['401'] = {description: 'Not authenticated'};
+    operation.responses['403'] = {description: 'Access denied'};
+  }
+
+  if (!_.isEmpty(route.requiredRoles)) {
+    operation['x-roles'] = route.requiredRoles;
+  }
+
+  if (!_.isEmpty(route.requiredPermissions)) {
+    operation['x-permissions'] = route.requiredPermissions;
+  }
+
+  return operation;
+}
+
+/**
+ * @private
+ */
+function buildPathParameters(fullPath, schema, types) {
+  var names = _.map(fullPath.match(/:\w+/g), function (param) {
+    return param.substring(1);
+  });
+
+  return _.map(names, function (name) {
+    return {
+      name: name,
+      in: 'path',
+      required: true,
+      schema: _.get(schema, ['properties', name], parsers.schemaFor(_.get(types, name)))
+    };
+  });
+}
+
+/**
+ * @private
+ */
+function buildParameters(location, schema, types) {
+  var parameters = _.map(_.get(schema, 'properties'), function (propertySchema, name) {
+    return {
+      name: name,
+      in: location,
+      required: _.includes(schema.required, name),
+      schema: propertySchema
+    };
+  });
+
+  _.forEach(types, function (type, name) {
+    if (!_.has(schema, ['properties', name])) {
+      parameters.push({
+        name: name,
+        in: location,
+        required: false,
+        schema: parsers.schemaFor(type)
+      });
+    }
+  });
+
+  return parameters;
+}
+
+/**
+ * Expands the optional parameters of an express path pattern. For example `/users/:id?`
+ * gives `/users` and `/users/:id`.
+ *
+ * @private
+ */
+function pathVariants(expressPath) {
+  var optional = /\/:\w+(\([^)]*\))?\?/.exec(expressPath);
+
+  if (!optional) {
+    return [expressPath];
+  }
+
+  var before = expressPath.substring(0, optional.index);
+  var after = expressPath.substring(optional.index + optional[0].length);
+  var param = optional[0].substring(0, optional[0].length - 1);
+
+  return _.flatMap(pathVariants(after), function (rest) {
+    return [(before + rest) || '/', before + param + rest];
+  });
+}
+
+/**
+ * Converts an express path pattern like `/users/:id(\\d+)` into `/users/{id}`.
+ *
+ * @private
+ */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}');
+}
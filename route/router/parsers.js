@@ -0,0 +1,134 @@
+"use strict";
+
+var _ = require('lodash');
+
+var UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/i;
+
+/**
+ * Built-in parsers for path and query parameters keyed by type name.
+ *
+ * A parser takes the string value of a parameter and returns the parsed value. If the value
+ * is invalid, the parser throws an error whose message describes the problem. Custom parsers
+ * given to `Route#param` and `Route#query` must work the same way.
+ *
+ * @type {Object.<String, function(String):*>}
+ */
+var builtIn = {
+  'string': function (value) {
+    return String(value);
+  },
+  'int': function (value) {
+    if (!/^[+-]?\d+$/.test(value)) {
+      throw new Error('must be an integer');
+    }
+    var number = parseInt(value, 10);
+    if (!_.isSafeInteger(number)) {
+      throw new Error('is too large');
+    }
+    return number;
+  },
+  'number': function (value) {
+    var number = _.trim(value) === '' ? NaN : Number(value);
+    if (!_.isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    return number;
+  },
+  'boolean': function (value) {
+    if (value === 'true' || value === '1') {
+      return true;
+    } else if (value === 'false' || value === '0') {
+      return false;
+    }
+    throw new Error('must be true or false');
+  },
+  'uuid': function (value) {
+    if (!UUID.test(value)) {
+      throw new Error('must be a UUID');
+    }
+    return value.toLowerCase();
+  },
+  'date': function (value) {
+    var date = new Date(value);
+    if (!DATE.test(value) || _.isNaN(date.getTime())) {
+      throw new Error('must be an ISO 8601 date');
+    }
+    return date;
+  }
+};
+
+var SCHEMAS = {
+  'string': {type: 'string'},
+  'int': {type: 'integer'},
+  'number': {type: 'number'},
+  'boolean': {type: 'boolean'},
+  'uuid': {type: 'string', format: 'uuid'},
+  'date': {type: 'string', format: 'date-time'}
+};
+
+/**
+ * Returns the parser of a type.
+ *
+ * Types ending with `[]`, like `int[]`, parse arrays. Both repeated query parameters
+ * (`?tags=a&tags=b`) and comma separated values (`?tags=a,b`) are accepted.
+ *
+ * @param {String|function(String):*} type
+ *    Name of a built-in type or a custom parser.
+ * @returns {function(*):*}
+ */
+function parserFor(type) {
+  if (_.isFunction(type)) {
+    return type;
+  }
+
+  var elementParser = builtIn[_.trimEnd(type, '[]')];
+
+  if (!elementParser) {
+    throw new Error('Unknown parameter type "' + type + '". Supported types: ' + _.keys(builtIn).join(', '));
+  }
+
+  if (!isArrayType(type)) {
+    return elementParser;
+  }
+
+  return function (value) {
+    var values = _.isArray(value) ? value : String(value).split(',');
+    return _.map(values, function (element, index) {
+      try {
+        return elementParser(element);
+      } catch (err) {
+        err.message = 'item ' + index + ' ' + err.message;
+        throw err;
+      }
+    });
+  };
+}
+
+/**
+ * Returns a JSON schema describing the values of a type. Used for documentation.
+ *
+ * @param {String|function(String):*} type
+ * @returns {Object}
+ */
+function schemaFor(type) {
+  if (!_.isString(type)) {
+    return {type: 'string'};
+  }
+
+  var schema = SCHEMAS[_.trimEnd(type, '[]')] || {type: 'string'};
+  return isArrayType(type) ? {type: 'array', items: schema} : schema;
+}
+
+module.exports = {
+  builtIn: builtIn,
+  parserFor: parserFor,
+  schemaFor: schemaFor
+};
+
+/**
+ * @private
+ */
+function isArrayType(type) {
+  return _.endsWith(type, '[]');
+}
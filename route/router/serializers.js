@@ -0,0 +1,259 @@
+"use strict";
+
+var _ = require('lodash');
+
+/**
+ * Built-in serializers keyed by media type.
+ *
+ * A serializer is a function that takes the value returned from a route handler and the request
+ * and returns a string or a `Buffer`. The order of the keys matters: the first media type is used
+ * when the request doesn't express a preference.
+ *
+ * @type {Object.<String, function(*, Request):(String|Buffer)>}
+ */
+var defaults = {
+  'application/json': serializeJson,
+  'text/csv': serializeCsv,
+  'application/xml': serializeXml,
+  'application/x-ndjson': serializeNdjson
+};
+
+/**
+ * Selects the media type from `mediaTypes` that best matches the `Accept` header of the request.
+ *
+ * Returns the first media type if the request has no `Accept` header and null if none of the
+ * media types are acceptable.
+ *
+ * Browsers send headers like `text/html,application/xml;q=0.9,*\/*;q=0.8`. If the header
+ * accepts `*\/*`, the first media type is returned unless another media type is named in the
+ * header with the highest quality of the header. This way browsers get the first media type
+ * instead of XML.
+ *
+ * @param {Request} req
+ * @param {Array.<String>} mediaTypes
+ * @returns {String}
+ */
+function negotiate(req, mediaTypes) {
+  var accept = _.get(req, 'headers.accept');
+
+  if (!accept) {
+    return _.first(mediaTypes) || null;
+  }
+
+  var ranges = parseAccept(accept);
+  var first = _.first(mediaTypes);
+  var best = null;
+  var bestQuality = 0;
+  var acceptsAny = _.some(ranges, function (range) {
+    return range.type === '*/*' && range.quality > 0;
+  });
+
+  if (acceptsAny && first && qualityOf(first, ranges) > 0) {
+    return _.find(mediaTypes, function (mediaType) {
+      return isPreferred(mediaType, ranges);
+    }) || first;
+  }
+
+  _.forEach(mediaTypes, function (mediaType) {
+    var quality = qualityOf(mediaType, ranges);
+    if (quality > bestQuality) {
+      best = mediaType;
+      bestQuality = quality;
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  defaults: defaults,
+  negotiate: negotiate
+};
+
+/**
+ * @private
+ */
+function parseAccept(accept) {
+  return _.compact(_.map(accept.split(','), function (part) {
+    var params = part.split(';');
+    var type = params.shift().trim().toLowerCase();
+    var quality = 1;
+
+    if (!type) {
+      return null;
+    }
+
+    _.forEach(params, function (param) {
+      var keyValue = param.split('=');
+      if (keyValue[0].trim() === 'q') {
+        quality = parseFloat(keyValue[1]);
+      }
+    });
+
+    return {
+      type: type,
+      quality: _.isNaN(quality) ? 0 : quality
+    };
+  }));
+}
+
+/**
+ * Returns true if the media type is named in the header with the highest quality of the header.
+ *
+ * @private
+ */
+function isPreferred(mediaType, ranges) {
+  var highestQuality = _.max(_.map(ranges, 'quality'));
+
+  return _.some(ranges, function (range) {
+    return range.type === mediaType && range.quality === highestQuality;
+  });
+}
+
+/**
+ * Returns the quality of the most specific range that matches the media type.
+ *
+ * @private
+ */
+function qualityOf(mediaType, ranges) {
+  var mainType = mediaType.split('/')[0];
+  var quality = 0;
+  var specificity = -1;
+
+  _.forEach(ranges, function (range) {
+    var rangeSpecificity = -1;
+
+    if (range.type === mediaType) {
+      rangeSpecificity = 2;
+    } else if (range.type === mainType + '/*') {
+      rangeSpecificity = 1;
+    } else if (range.type === '*/*') {
+      rangeSpecificity = 0;
+    }
+
+    if (rangeSpecificity > specificity) {
+      specificity = rangeSpecificity;
+      quality = range.quality;
+    }
+  });
+
+  return quality;
+}
+
+/**
+ * Converts model instances and other objects that have a `toJSON` method into the plain
+ * values that `serializeJson` would output.
+ *
+ * @private
+ */
+function toPlainData(data) {
+  var json = JSON.stringify(data);
+  return _.isUndefined(json) ? null : JSON.parse(json);
+}
+
+/**
+ * @private
+ */
+function serializeJson(data, req) {
+  var profile = _.get(req, 'app.config.profile');
+  // Pretty print json in development and testing modes.
+  if (profile === 'development' || profile === 'testing') {
+    return JSON.stringify(data, null, 2);
+  } else {
+    return JSON.stringify(data);
+  }
+}
+
+/**
+ * @private
+ */
+function serializeNdjson(data) {
+  var items = _.isArray(data) ? data : [data];
+  return _.map(items, function (item) {
+    return JSON.stringify(item) + '\n';
+  }).join('');
+}
+
+/**
+ * Serializes an array of objects (or a single object) into CSV. The union of the object
+ * keys becomes the header row. Text that a spreadsheet would run as a formula is prefixed
+ * with `'`.
+ *
+ * @private
+ */
+function serializeCsv(data) {
+  data = toPlainData(data);
+
+  var rows = _.map(_.isArray(data) ? data : [data], function (row) {
+    return _.isPlainObject(row) ? row : {value: row};
+  });
+
+  var columns = _.uniq(_.flatMap(rows, _.keys));
+  var lines = [_.map(columns, csvValue).join(',')];
+
+  _.forEach(rows, function (row) {
+    lines.push(_.map(columns, function (column) {
+      return csvValue(row[column]);
+    }).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * @private
+ */
+function csvValue(value) {
+  if (_.isNil(value)) {
+    return '';
+  }
+
+  var str = _.isObject(value) ? JSON.stringify(value) : String(value);
+
+  // Spreadsheets run cells that start with these as formulas. Numbers are safe as they are.
+  if (!_.isNumber(value) && /^[=+\-@\t\r]/.test(str)) {
+    str = "'" + str;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  } else {
+    return str;
+  }
+}
+
+/**
+ * @private
+ */
+function serializeXml(data) {
+  return '<?xml version="1.0" encoding="UTF-8"?>' + xmlElement('result', toPlainData(data));
+}
+
+/**
+ * @private
+ */
+function xmlElement(name, value) {
+  var content;
+
+  if (_.isNil(value)) {
+    return '<' + name + '/>';
+  } else if (_.isArray(value)) {
+    content = _.map(value, _.partial(xmlElement, 'item')).join('');
+  } else if (_.isPlainObject(value)) {
+    content = _.map(value, function (propertyValue, key) {
+      return xmlElement(xmlName(key), propertyValue);
+    }).join('');
+  } else {
+    content = _.escape(String(value));
+  }
+
+  return '<' + name + '>' + content + '</' + name + '>';
+}
+
+/**
+ * @private
+ */
+function xmlName(key) {
+  var name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : '_' + name;
+}
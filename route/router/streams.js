@@ -0,0 +1,183 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , HTTPError = require('dodo/errors').HTTPError
+  , serializers = require('./serializers')
+  , log = require('dodo/logger').getLogger('dodo-core-features.router');
+
+var ITERATOR_MEDIA_TYPES = ['application/json', 'application/x-ndjson'];
+
+/**
+ * Object mode streams are not considered readable streams since objects cannot be piped to
+ * the response. They are async iterators in node versions that support them.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isReadableStream(value) {
+  return _.isObject(value)
+    && _.isFunction(value.pipe)
+    && _.isFunction(value.on)
+    && value.readable !== false
+    && !_.get(value, '_readableState.objectMode');
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isAsyncIterable(value) {
+  return _.isObject(value)
+    && typeof Symbol !== 'undefined'
+    && !!Symbol.asyncIterator
+    && _.isFunction(value[Symbol.asyncIterator]);
+}
+
+/**
+ * Pipes a readable stream to the response.
+ *
+ * The returned promise is resolved when the response has been sent or the client has closed
+ * the connection. The promise is rejected if the stream fails before anything has been sent.
+ * Failures after that can only be reported by destroying the response.
+ *
+ * @param {stream.Readable} stream
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise}
+ */
+function sendStream(stream, req, res) {
+  return new Promise(function (resolve, reject) {
+    stream.on('error', function (err) {
+      stream.unpipe(res);
+      if (failAfterHeadersSent(err, req, res)) {
+        resolve();
+      } else {
+        reject(err);
+      }
+    });
+
+    res.on('finish', resolve);
+    res.on('close', function () {
+      // The client closed the connection. Stop producing data.
+      if (_.isFunction(stream.destroy)) {
+        stream.destroy();
+      }
+      resolve();
+    });
+
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Writes the values produced by an async iterator to the response.
+ *
+ * The values are encoded as NDJSON if the request prefers `application/x-ndjson` and as
+ * a JSON array otherwise. The iteration waits for the response to drain whenever its
+ * buffer is full and stops if the client closes the connection.
+ *
+ * @param {Object} iterable
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise}
+ */
+function sendIterable(iterable, req, res) {
+  var mediaType = serializers.negotiate(req, ITERATOR_MEDIA_TYPES);
+  var ndjson = mediaType === 'application/x-ndjson';
+  var iterator = iterable[Symbol.asyncIterator]();
+  var closed = false;
+  var count = 0;
+
+  if (!mediaType) {
+    return Promise.reject(new HTTPError(406, {supported: ITERATOR_MEDIA_TYPES}));
+  }
+
+  res.on('close', function () {
+    closed = true;
+  });
+
+  function next() {
+    return Promise.resolve(iterator.next()).then(function (item) {
+      if (closed) {
+        if (_.isFunction(iterator.return)) {
+          iterator.return();
+        }
+        return;
+      }
+
+      if (count === 0) {
+        res.set('Content-Type', mediaType);
+        if (!ndjson) {
+          res.write('[');
+        }
+      }
+
+      if (item.done) {
+        res.end(ndjson ? '' : ']');
+        return;
+      }
+
+      var chunk = JSON.stringify(item.value);
+      if (ndjson) {
+        chunk += '\n';
+      } else if (count > 0) {
+        chunk = ',' + chunk;
+      }
+
+      count += 1;
+      return write(res, chunk).then(next);
+    });
+  }
+
+  return next().catch(function (err) {
+    if (!failAfterHeadersSent(err, req, res)) {
+      throw err;
+    }
+  });
+}
+
+module.exports = {
+  isReadableStream: isReadableStream,
+  isAsyncIterable: isAsyncIterable,
+  sendStream: sendStream,
+  sendIterable: sendIterable
+};
+
+/**
+ * @private
+ * @returns {Promise}
+ */
+function write(res, chunk) {
+  return new Promise(function (resolve) {
+    if (res.write(chunk)) {
+      return resolve();
+    }
+
+    var done = function () {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Once the headers have been sent, the error response cannot be sent anymore. The only
+ * way to tell the client that something went wrong is to cut the connection.
+ *
+ * @private
+ * @returns {Boolean} true if the error was handled.
+ */
+function failAfterHeadersSent(err, req, res) {
+  if (!res.headersSent) {
+    return false;
+  }
+
+  log.error({ reqPath: req.path, error: err }, 'Streaming the response failed after the headers were sent');
+  res.destroy();
+  return true;
+}
@@ -0,0 +1,171 @@
+"use strict";
+
+var _ = require('lodash');
+
+var FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  'date': /^\d{4}-\d{2}-\d{2}$/,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+var TYPE_CHECKS = {
+  'string': _.isString,
+  'boolean': _.isBoolean,
+  'integer': _.isInteger,
+  'number': function (value) {
+    return _.isNumber(value) && _.isFinite(value);
+  },
+  'object': function (value) {
+    return _.isPlainObject(value);
+  },
+  'array': _.isArray,
+  'null': _.isNull
+};
+
+/**
+ * Validates a value against a JSON-Schema-style definition.
+ *
+ * Only a subset of JSON Schema is supported: `type` (string or array of strings), `enum`,
+ * `required`, `properties`, `additionalProperties` (boolean), `items`, `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems` and `format` (`date-time`,
+ * `date`, `email` and `uuid`).
+ *
+ * ```js
+ * var errors = validate({
+ *   type: 'object',
+ *   required: ['name'],
+ *   properties: {
+ *     name: {type: 'string', minLength: 1}
+ *   }
+ * }, {}, 'body');
+ *
+ * console.log(errors); // --> {'body.name': 'is required'}
+ * ```
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} path
+ *    Path of the value. Used as the prefix of the keys in the returned hash.
+ * @returns {Object.<String, String>}
+ *    Hash of 'path': 'Error message' pairs. Empty if the value is valid.
+ */
+function validate(schema, value, path) {
+  var errors = {};
+  validateValue(schema, value, path, errors);
+  return errors;
+}
+
+module.exports = {
+  validate: validate
+};
+
+/**
+ * @private
+ */
+function validateValue(schema, value, path, errors) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (schema.type) {
+    var types = _.isArray(schema.type) ? schema.type : [schema.type];
+    var typeOk = _.some(types, function (type) {
+      if (!TYPE_CHECKS[type]) {
+        throw new Error('Unsupported schema type "' + type + '" at ' + path);
+      }
+      return TYPE_CHECKS[type](value);
+    });
+
+    if (!typeOk) {
+      errors[path] = 'should be ' + types.join(' or ');
+      return;
+    }
+  }
+
+  if (schema.enum && !_.some(schema.enum, _.partial(_.isEqual, value))) {
+    errors[path] = 'should be one of: ' + schema.enum.join(', ');
+    return;
+  }
+
+  if (_.isString(value)) {
+    validateString(schema, value, path, errors);
+  } else if (_.isNumber(value)) {
+    validateNumber(schema, value, path, errors);
+  } else if (_.isArray(value)) {
+    validateArray(schema, value, path, errors);
+  } else if (_.isPlainObject(value)) {
+    validateObject(schema, value, path, errors);
+  }
+}
+
+/**
+ * @private
+ */
+function validateString(schema, value, path, errors) {
+  if (_.has(schema, 'minLength') && value.length < schema.minLength) {
+    errors[path] = 'should have at least ' + schema.minLength + ' characters';
+  } else if (_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+    errors[path] = 'should have at most ' + schema.maxLength + ' characters';
+  } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors[path] = 'should match pattern "' + schema.pattern + '"';
+  } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    errors[path] = 'should be a valid ' + schema.format;
+  }
+}
+
+/**
+ * @private
+ */
+function validateNumber(schema, value, path, errors) {
+  if (_.has(schema, 'minimum') && value < schema.minimum) {
+    errors[path] = 'should be >= ' + schema.minimum;
+  } else if (_.has(schema, 'maximum') && value > schema.maximum) {
+    errors[path] = 'should be <= ' + schema.maximum;
+  }
+}
+
+/**
+ * @private
+ */
+function validateArray(schema, value, path, errors) {
+  if (_.has(schema, 'minItems') && value.length < schema.minItems) {
+    errors[path] = 'should have at least ' + schema.minItems + ' items';
+  } else if (_.has(schema, 'maxItems') && value.length > schema.maxItems) {
+    errors[path] = 'should have at most ' + schema.maxItems + ' items';
+  } else if (schema.items) {
+    _.forEach(value, function (item, index) {
+      validateValue(schema.items, item, path + '[' + index + ']', errors);
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function validateObject(schema, value, path, errors) {
+  _.forEach(schema.required, function (property) {
+    if (value[property] === undefined) {
+      errors[joinPath(path, property)] = 'is required';
+    }
+  });
+
+  _.forEach(schema.properties, function (propertySchema, property) {
+    validateValue(propertySchema, value[property], joinPath(path, property), errors);
+  });
+
+  if (schema.additionalProperties === false) {
+    _.forEach(value, function (propertyValue, property) {
+      if (!_.has(schema.properties, property)) {
+        errors[joinPath(path, property)] = 'is not allowed';
+      }
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function joinPath(path, property) {
+  return path ? path + '.' + property : property;
+}
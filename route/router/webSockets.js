@@ -0,0 +1,151 @@
+"use strict";
+
+var _ = require('lodash')
+  , http = require('http')
+  , url = require('url')
+  , Promise = require('bluebird');
+
+// The handshakes are done by servers that don't listen to anything themselves. There is one
+// server for each message size limit since the limit is an option of the server.
+var webSocketServers = {};
+
+/**
+ * Returns a listener for the `upgrade` event of the application's HTTP server.
+ *
+ * Upgrade requests whose path matches a route registered using `Router#ws` are sent through
+ * the express application like any other request, so the session middleware and the auth
+ * handlers of the route are run before the upgrade is accepted. If the request is refused,
+ * the error response is written to the socket as a normal HTTP response.
+ *
+ * Upgrade requests that don't match any route are left to the other `upgrade` listeners of
+ * the server. If there are none, the socket is destroyed.
+ *
+ * @param {express.Application} app
+ * @param {function():Array.<Router>} getRouters
+ * @returns {function(IncomingMessage, net.Socket, Buffer)}
+ */
+function createUpgradeHandler(app, getRouters) {
+  return function (req, socket, head) {
+    var pathname = url.parse(req.url).pathname;
+
+    if (!hasWebSocketRoute(getRouters(), pathname)) {
+      if (app.server && app.server.listenerCount('upgrade') === 1) {
+        socket.destroy();
+      }
+      return;
+    }
+
+    var res = new http.ServerResponse(req);
+
+    res.assignSocket(socket);
+    res.shouldKeepAlive = false;
+    res.on('finish', function () {
+      socket.end();
+    });
+
+    req.webSocketUpgrade = {socket: socket, head: head};
+    app.handle(req, res);
+  };
+}
+
+/**
+ * Completes the handshake of an upgrade request marked by the upgrade handler. The response
+ * object is detached from the socket first so that nothing else can be written to it.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Number} maxPayload
+ *    Maximum size of a received message in bytes. Larger messages close the connection with 1009.
+ * @returns {Promise.<WebSocket>}
+ *    Resolved to null if the handshake fails. The socket is destroyed in that case.
+ */
+function accept(req, res, maxPayload) {
+  var socket = req.webSocketUpgrade.socket;
+  var head = req.webSocketUpgrade.head;
+  var webSocketServer = webSocketServers[maxPayload];
+
+  if (!webSocketServer) {
+    // Required only when needed since `ws` doesn't load on Node versions without ES6 classes.
+    var WebSocket = require('ws');
+    webSocketServer = webSocketServers[maxPayload] = new WebSocket.Server({noServer: true, maxPayload: maxPayload});
+  }
+
+  return new Promise(function (resolve) {
+    res.detachSocket(socket);
+
+    if (socket.destroyed) {
+      return resolve(null);
+    }
+
+    // The callback is not called if the handshake fails.
+    socket.once('close', function () {
+      resolve(null);
+    });
+
+    webSocketServer.handleUpgrade(req, socket, head, function (webSocket) {
+      resolve(webSocket);
+    });
+  });
+}
+
+/**
+ * @param {Request} req
+ * @returns {Boolean}
+ *    True if the request came through the upgrade handler.
+ */
+function isUpgradeRequest(req) {
+  return !!req.webSocketUpgrade;
+}
+
+/**
+ * Browsers send the cookies of a site with WebSocket requests made by any other site, and
+ * CORS doesn't apply to WebSockets. Checking the `Origin` header prevents other sites from
+ * opening connections in the name of the user.
+ *
+ * @param {Request} req
+ * @param {Array.<String>} allowedOrigins
+ *    Origins like 'https://example.com'. '*' allows all origins. If null, only the origin of
+ *    the request's `Host` is allowed.
+ * @returns {Boolean}
+ *    True if the origin is allowed or the request has no `Origin` header, like requests of
+ *    other clients than browsers.
+ */
+function isAllowedOrigin(req, allowedOrigins) {
+  var origin = (req.get('origin') || '').toLowerCase();
+
+  if (!origin) {
+    return true;
+  }
+
+  if (allowedOrigins) {
+    return _.some(allowedOrigins, function (allowedOrigin) {
+      return allowedOrigin === '*' || allowedOrigin.toLowerCase() === origin;
+    });
+  }
+
+  return url.parse(origin).host === (req.get('host') || '').toLowerCase();
+}
+
+module.exports = {
+  createUpgradeHandler: createUpgradeHandler,
+  accept: accept,
+  isUpgradeRequest: isUpgradeRequest,
+  isAllowedOrigin: isAllowedOrigin
+};
+
+/**
+ * @private
+ */
+function hasWebSocketRoute(routers, pathname) {
+  return _.some(routers, function (router) {
+    var requestPath = router.relativePath(pathname);
+
+    if (requestPath === null) {
+      return false;
+    }
+
+    return _.some(router.routes, function (route) {
+      return route.webSocketOptions && route.handlerFunc && route.matchesPath(requestPath);
+    });
+  });
+}
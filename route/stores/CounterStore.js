@@ -0,0 +1,50 @@
+"use strict";
+
+var _ = require('lodash')
+  , EventEmitter = require('events').EventEmitter
+  , util = require('util');
+
+/**
+ * Objects of this class count events in fixed time windows.
+ *
+ * Follows the same connection contract as `SessionStore`: subclasses must emit `connect` each
+ * time the connection is established and the store becomes ready to use and `disconnect` each
+ * time the connection is lost.
+ *
+ * @constructor
+ * @extends EventEmitter
+ * @param {Object} options
+ */
+function CounterStore(options) {
+  EventEmitter.call(this);
+  this.options = options || {};
+}
+
+util.inherits(CounterStore, EventEmitter);
+
+/**
+ * Starts asynchronous connecting process.
+ *
+ * `connect` event must be emitted after successful connection.
+ */
+CounterStore.prototype.connect = function() {
+  // Default implementation that works out of the box when there is nothing to connect to.
+  process.nextTick(_.bind(this.emit, this, 'connect'));
+};
+
+/**
+ * Increments the counter of a key.
+ *
+ * The counter is created when it is first incremented and removed `windowSeconds` after that.
+ *
+ * @param {String} key
+ * @param {Number} windowSeconds
+ * @return {Promise.<{count:Number, resetSeconds:Number}>}
+ *    The count after the increment and the number of seconds until the counter is removed.
+ */
+CounterStore.prototype.increment = function(key, windowSeconds) {
+  _.noop(key, windowSeconds);
+  throw new Error(this.constructor.name + '.increment not implemented');
+};
+
+module.exports = CounterStore;
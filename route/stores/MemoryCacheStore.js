@@ -0,0 +1,82 @@
+"use strict";
+
+var _ = require('lodash')
+  , util = require('util')
+  , Promise = require('bluebird')
+  , SessionStore = require('../../token-session/SessionStore');
+
+/**
+ * In-memory least recently used cache store.
+ *
+ * Implements the `SessionStore` interface. In addition `set` takes an optional time-to-live.
+ *
+ * Examples:
+ *
+ * ```js
+ * var store = new MemoryCacheStore({maxEntries: 500});
+ * ```
+ *
+ * @constructor
+ * @extends SessionStore
+ * @param {Object} options
+ * @param {Number=} options.maxEntries
+ *    Maximum number of entries. The least recently used entry is removed when the limit is
+ *    exceeded. Defaults to 1000.
+ */
+function MemoryCacheStore(options) {
+  SessionStore.call(this, _.defaults({}, options, {maxEntries: 1000}));
+  this.entries = new Map();
+}
+
+util.inherits(MemoryCacheStore, SessionStore);
+
+/**
+ * @override
+ */
+MemoryCacheStore.prototype.get = function (key) {
+  var entry = this.entries.get(key);
+
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    this.entries.delete(key);
+    entry = null;
+  }
+
+  if (!entry) {
+    return Promise.resolve(null);
+  }
+
+  // Move the entry to the end of the insertion order to mark it as most recently used.
+  this.entries.delete(key);
+  this.entries.set(key, entry);
+  return Promise.resolve(entry.value);
+};
+
+/**
+ * @override
+ * @param {String} key
+ * @param {String} value
+ * @param {Number=} ttlSeconds
+ */
+MemoryCacheStore.prototype.set = function (key, value, ttlSeconds) {
+  this.entries.delete(key);
+  this.entries.set(key, {
+    value: value,
+    expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+  });
+
+  while (this.entries.size > this.options.maxEntries) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+
+  return Promise.resolve(value);
+};
+
+/**
+ * @override
+ */
+MemoryCacheStore.prototype.del = function (key) {
+  this.entries.delete(key);
+  return Promise.resolve(key);
+};
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,67 @@
+"use strict";
+
+var _ = require('lodash')
+  , util = require('util')
+  , Promise = require('bluebird')
+  , CounterStore = require('./CounterStore');
+
+/**
+ * `CounterStore` that keeps the counters in memory.
+ *
+ * @note The counters are not shared between processes. Use `RedisCounterStore` if the service
+ *       runs in more than one process.
+ *
+ * @constructor
+ * @extends CounterStore
+ * @param {Object} options
+ */
+function MemoryCounterStore(options) {
+  CounterStore.call(this, options);
+  this.counters = {};
+  this.nextSweep = 0;
+}
+
+util.inherits(MemoryCounterStore, CounterStore);
+
+/**
+ * @override
+ */
+MemoryCounterStore.prototype.increment = function(key, windowSeconds) {
+  var now = Date.now();
+  var counter = this.counters[key];
+
+  this.sweep_(now);
+
+  if (!counter || counter.resetAt <= now) {
+    counter = this.counters[key] = {
+      count: 0,
+      resetAt: now + windowSeconds * 1000
+    };
+  }
+
+  counter.count += 1;
+
+  return Promise.resolve({
+    count: counter.count,
+    resetSeconds: Math.ceil((counter.resetAt - now) / 1000)
+  });
+};
+
+/**
+ * Removes expired counters at most once a second.
+ *
+ * @private
+ */
+MemoryCounterStore.prototype.sweep_ = function(now) {
+  if (now < this.nextSweep) {
+    return;
+  }
+
+  this.counters = _.omitBy(this.counters, function (counter) {
+    return counter.resetAt <= now;
+  });
+
+  this.nextSweep = now + 1000;
+};
+
+module.exports = MemoryCounterStore;
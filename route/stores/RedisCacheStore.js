@@ -0,0 +1,75 @@
+"use strict";
+
+var util = require('util')
+  , Promise = require('bluebird')
+  , RedisSessionStore = require('../../token-session/RedisSessionStore');
+
+/**
+ * Cache store that saves the entries to Redis.
+ *
+ * Takes the same options as `RedisSessionStore`. Unlike in `RedisSessionStore` reading an entry
+ * doesn't extend its expiration time and `set` takes an optional time-to-live that overrides
+ * `options.ttlSeconds`.
+ *
+ * Examples:
+ *
+ * ```js
+ * var store = new RedisCacheStore({
+ *   url: 'redis://<user>:<pass>@<host>:<port>'
+ * });
+ * ```
+ *
+ * @constructor
+ * @extends RedisSessionStore
+ * @param {Object} options
+ */
+function RedisCacheStore(options) {
+  RedisSessionStore.call(this, options);
+}
+
+util.inherits(RedisCacheStore, RedisSessionStore);
+
+/**
+ * @override
+ */
+RedisCacheStore.prototype.get = function (key) {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    self.client.get(key, function (err, data) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+};
+
+/**
+ * @override
+ * @param {String} key
+ * @param {String} value
+ * @param {Number=} ttlSeconds
+ */
+RedisCacheStore.prototype.set = function (key, value, ttlSeconds) {
+  var self = this;
+  ttlSeconds = ttlSeconds || this.options.ttlSeconds;
+
+  return new Promise(function (resolve, reject) {
+    var callback = function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+
+    if (ttlSeconds) {
+      self.client.setex(key, ttlSeconds, value, callback);
+    } else {
+      self.client.set(key, value, callback);
+    }
+  });
+};
+
+module.exports = RedisCacheStore;
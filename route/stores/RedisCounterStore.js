@@ -0,0 +1,64 @@
+"use strict";
+
+var util = require('util')
+  , Promise = require('bluebird')
+  , CounterStore = require('./CounterStore')
+  , RedisSessionStore = require('../../token-session/RedisSessionStore');
+
+/**
+ * `CounterStore` that keeps the counters in Redis.
+ *
+ * Takes the same connection options as `RedisSessionStore`.
+ *
+ * Examples:
+ *
+ * ```js
+ * var store = new RedisCounterStore({
+ *   url: 'redis://<user>:<pass>@<host>:<port>'
+ * });
+ * ```
+ *
+ * @constructor
+ * @extends CounterStore
+ * @param {Object} options
+ */
+function RedisCounterStore(options) {
+  // Parses the connection options the same way as `RedisSessionStore`.
+  RedisSessionStore.call(this, options);
+}
+
+util.inherits(RedisCounterStore, CounterStore);
+
+/**
+ * @override
+ */
+RedisCounterStore.prototype.connect = RedisSessionStore.prototype.connect;
+
+/**
+ * @override
+ */
+RedisCounterStore.prototype.increment = function(key, windowSeconds) {
+  var self = this;
+  var windowMillis = windowSeconds * 1000;
+
+  return new Promise(function(resolve, reject) {
+    // Creating the counter with its expiry in the same transaction as the increment makes
+    // sure that a counter never outlives its window, even if the client disconnects.
+    self.client.multi()
+      .set(key, 0, 'PX', windowMillis, 'NX')
+      .incr(key)
+      .pttl(key)
+      .exec(function(err, replies) {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve({
+          count: replies[1],
+          resetSeconds: Math.ceil(replies[2] / 1000)
+        });
+      });
+  });
+};
+
+module.exports = RedisCounterStore;
@@ -0,0 +1,60 @@
+var expect = require('expect.js')
+  , Promise = require('bluebird')
+  , MemoryCacheStore = require('../stores/MemoryCacheStore');
+
+describe('MemoryCacheStore', function () {
+  var store;
+
+  beforeEach(function () {
+    store = new MemoryCacheStore({maxEntries: 2});
+  });
+
+  it('should emit connect', function (done) {
+    store.on('connect', done);
+    store.connect();
+  });
+
+  it('should get, set and del values', function () {
+    return store.set('a', 'value')
+      .then(function () {
+        return store.get('a');
+      })
+      .then(function (value) {
+        expect(value).to.equal('value');
+        return store.del('a');
+      })
+      .then(function () {
+        return store.get('a');
+      })
+      .then(function (value) {
+        expect(value).to.equal(null);
+      });
+  });
+
+  it('should remove the least recently used entry when full', function () {
+    return Promise.all([store.set('a', '1'), store.set('b', '2')])
+      .then(function () {
+        return store.get('a');
+      })
+      .then(function () {
+        return store.set('c', '3');
+      })
+      .then(function () {
+        return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+      })
+      .then(function (values) {
+        expect(values).to.eql(['1', null, '3']);
+      });
+  });
+
+  it('should expire entries', function () {
+    return store.set('a', '1', 0.01)
+      .delay(20)
+      .then(function () {
+        return store.get('a');
+      })
+      .then(function (value) {
+        expect(value).to.equal(null);
+      });
+  });
+});
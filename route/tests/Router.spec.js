@@ -1,9 +1,13 @@
 var _ = require('lodash')
   , expect = require('expect.js')
   , Promise = require('bluebird')
+  , EventEmitter = require('events').EventEmitter
   , Router = require('../router/Router')
+  , LogHub = require('dodo/logger').LogHub
+  , MockHandler = require('dodo/logger').MockHandler
   , HTTPError = require('dodo/errors').HTTPError
-  , AccessError = require('dodo/errors').AccessError;
+  , AccessError = require('dodo/errors').AccessError
+  , ValidationError = require('dodo/errors').ValidationError;
 
 describe('Router', function () {
   var request;
@@ -14,6 +18,8 @@ describe('Router', function () {
   beforeEach(function () {
     // Mock express request object.
     request = {
+      // Mock authenticated user.
+      user: {},
       // Mock express application.
       app: {
         config: {
@@ -24,8 +30,9 @@ describe('Router', function () {
 
   beforeEach(function () {
     // Mock express response object.
-    response = {
+    response = _.assign(new EventEmitter(), {
       headersSent: false,
+      finished: false,
       statusCode: 200,
       send: spy(function (data) {
         this.sentData = data;
@@ -36,11 +43,16 @@ describe('Router', function () {
       set: spy(function () {
         return this;
       }),
+      vary: spy(function () {
+        return this;
+      }),
       status: spy(function (statusCode) {
         this.statusCode = statusCode;
         return this;
       }),
       end: spy(function () {
+        this.headersSent = true;
+        this.finished = true;
         this.onEnd();
         return this;
       }),
@@ -48,7 +60,7 @@ describe('Router', function () {
       onEnd: function () {
         // Implement this in tests.
       }
-    };
+    });
   });
 
   function failIfNext() {
@@ -63,6 +75,13 @@ describe('Router', function () {
       post: createMockRouterMethod('post'),
       patch: createMockRouterMethod('patch'),
       delete: createMockRouterMethod('delete'),
+      head: createMockRouterMethod('head'),
+      options: createMockRouterMethod('options'),
+      all: createMockRouterMethod('all'),
+      use: function (middleware) {
+        this.middlewares = (this.middlewares || []).concat([middleware]);
+        this.middleware = middleware;
+      },
       simulateRequest: function (req, res, next) {
         return Promise.resolve(this.handler(req, res, next));
       }
@@ -83,7 +102,7 @@ describe('Router', function () {
     router = new Router(mockExpressRouter, publicByDefaultHandler);
   });
 
-  _.each(['get', 'put', 'post', 'delete', 'patch'], function (method) {
+  _.each(['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'all'], function (method) {
 
     describe('.' + method + '()', function () {
 
@@ -646,6 +665,632 @@ describe('Router', function () {
     });
   });
 
+  describe('content negotiation', function () {
+    var data = [{id: 1, name: 'foo'}];
+
+    it('should select the serializer using the Accept header', function () {
+      request.headers = {accept: 'text/csv'};
+
+      router.get('/some/path').handler(function () {
+        return data;
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.set.calls).to.eql([['Content-Type', 'text/csv']]);
+          expect(response.sentData).to.equal('id,name\r\n1,foo\r\n');
+        });
+    });
+
+    it('should use serializers given to the router', function () {
+      request.headers = {accept: 'text/plain'};
+
+      router = new Router(mockExpressRouter, _.constant(true), null, {
+        serializers: {
+          'text/plain': function (result) {
+            return 'items: ' + result.length;
+          }
+        }
+      });
+      router.get('/some/path').handler(function () {
+        return data;
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.sentData).to.equal('items: 1');
+        });
+    });
+
+    it('should throw a 406 error if no serializer is acceptable', function () {
+      request.headers = {accept: 'image/png'};
+
+      router.get('/some/path').handler(function () {
+        return data;
+      });
+
+      var nextSpy = spy(function (err) {
+        expect(err instanceof HTTPError).to.equal(true);
+        expect(err.statusCode).to.equal(406);
+        expect(response.send.calls).to.have.length(0);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+  });
+
+  describe('.response()', function () {
+    it('should apply the status code and headers of the result', function () {
+      router.post('/some/path').handler(function () {
+        return router.response(201, {id: 1}, {Location: '/some/path/1'});
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(201);
+          expect(response.set.calls[0]).to.eql([{Location: '/some/path/1'}]);
+          expect(response.sentData).to.equal(JSON.stringify({id: 1}));
+        });
+    });
+
+    it('should send a response without a body if the body is null', function () {
+      router.delete('/some/path').handler(function () {
+        return Promise.resolve(router.response(204, null));
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(204);
+          expect(response.send.calls).to.have.length(0);
+          expect(response.end.calls).to.have.length(1);
+        });
+    });
+  });
+
+  describe('.allowedMethods()', function () {
+    beforeEach(function () {
+      router.get('/users/:id').handler(_.noop);
+      router.put('/users/:id').handler(_.noop);
+      router.post('/users').handler(_.noop);
+      router.delete('/users').handler(_.noop);
+    });
+
+    it('should list the methods of the routes that match the path', function () {
+      expect(router.allowedMethods('/users/1')).to.eql(['get', 'put', 'head']);
+      expect(router.allowedMethods('/users')).to.eql(['post', 'delete']);
+    });
+
+    it('should include the routes of groups', function () {
+      router.group('/users', function (users) {
+        users.patch('/:id').handler(_.noop);
+      });
+      expect(router.allowedMethods('/users/1')).to.eql(['get', 'put', 'patch', 'head']);
+    });
+
+    it('should return an empty array for unknown paths', function () {
+      expect(router.allowedMethods('/unknown')).to.eql([]);
+    });
+
+    it('should ignore routes without a handler', function () {
+      router.patch('/users');
+      expect(router.allowedMethods('/users')).to.eql(['post', 'delete']);
+    });
+  });
+
+  describe('.etag()', function () {
+    var data = {some: 'data'};
+
+    beforeEach(function () {
+      request.method = 'GET';
+      request.headers = {};
+    });
+
+    function lastSet(name) {
+      var call = _.findLast(response.set.calls, function (args) {
+        return args[0] === name;
+      });
+      return call && call[1];
+    }
+
+    it('should set a strong ETag computed from the body', function () {
+      router.get('/some/path').etag().handler(_.constant(data));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(lastSet('ETag')).to.match(/^"[0-9a-f]+-[^"]+"$/);
+          expect(response.sentData).to.equal(JSON.stringify(data));
+        });
+    });
+
+    it('should set a weak ETag if requested', function () {
+      router.get('/some/path').etag({weak: true}).handler(_.constant(data));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(lastSet('ETag')).to.match(/^W\/"/);
+        });
+    });
+
+    it('should respond 304 if If-None-Match matches', function () {
+      router.get('/some/path').etag().handler(_.constant(data));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          request.headers['if-none-match'] = '"other", ' + lastSet('ETag');
+          response.send = spy();
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        })
+        .then(function () {
+          expect(response.statusCode).to.equal(304);
+          expect(response.send.calls).to.have.length(0);
+        });
+    });
+
+    it('should not respond 304 to other than 2xx responses', function () {
+      request.headers['if-none-match'] = '*';
+      router.get('/some/path').etag().handler(function () {
+        return router.response(404, {error: 'not found'});
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(404);
+          expect(lastSet('ETag')).to.be(undefined);
+          expect(response.sentData).to.equal(JSON.stringify({error: 'not found'}));
+        });
+    });
+
+    it('should create ETags for values that ifMatch can compute again', function () {
+      request.headers['if-none-match'] = router.generateEtag(3);
+      router.get('/some/path').etag().handler(function () {
+        return router.response(200, data, {ETag: router.generateEtag(3)});
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(router.generateEtag({v: 3})).to.not.equal(router.generateEtag(3));
+          expect(router.generateEtag(3, true)).to.match(/^W\/"/);
+          expect(response.statusCode).to.equal(304);
+        });
+    });
+
+    it('should use ETag and Last-Modified given by the handler', function () {
+      var lastModified = new Date('2017-01-01T12:00:00Z');
+      request.headers['if-modified-since'] = 'Sun, 01 Jan 2017 12:00:00 GMT';
+
+      router.get('/some/path').etag().handler(function () {
+        return router.response(200, data, {ETag: '"v1"', 'Last-Modified': lastModified});
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.set.calls[0]).to.eql([{ETag: '"v1"', 'Last-Modified': lastModified.toUTCString()}]);
+          expect(lastSet('ETag')).to.equal('"v1"');
+          expect(response.statusCode).to.equal(304);
+        });
+    });
+
+    it('should send the body if the resource has been modified', function () {
+      request.headers['if-modified-since'] = 'Sun, 01 Jan 2017 12:00:00 GMT';
+
+      router.get('/some/path').etag().handler(function () {
+        return router.response(200, data, {'Last-Modified': new Date('2017-01-02T12:00:00Z')});
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(200);
+          expect(response.sentData).to.equal(JSON.stringify(data));
+        });
+    });
+  });
+
+  describe('.ifMatch()', function () {
+    var handlerSpy;
+
+    beforeEach(function () {
+      request.method = 'PUT';
+      request.headers = {};
+      handlerSpy = spy(_.constant({updated: true}));
+    });
+
+    it('should fail if used with a GET route', function () {
+      expect(function () {
+        router.get('/some/path').ifMatch(_.constant('"v1"'));
+      }).to.throwError();
+    });
+
+    it('should call the handler if If-Match matches the current ETag', function () {
+      request.headers['if-match'] = '"v0", "v1"';
+
+      router.put('/some/path')
+        .ifMatch(function (req) {
+          expect(req).to.equal(request);
+          return Promise.resolve('"v1"');
+        })
+        .handler(handlerSpy);
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should throw 412 if If-Match does not match the current ETag', function () {
+      request.headers['if-match'] = '"v0"';
+
+      router.put('/some/path')
+        .ifMatch(_.constant('"v1"'))
+        .handler(handlerSpy);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(412);
+        expect(handlerSpy.calls).to.have.length(0);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should throw 428 if If-Match is required but missing', function () {
+      var currentEtagSpy = spy(_.constant('"v1"'));
+
+      router.put('/some/path')
+        .ifMatch(currentEtagSpy, {required: true})
+        .handler(handlerSpy);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(428);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+          expect(currentEtagSpy.calls).to.have.length(0);
+          expect(handlerSpy.calls).to.have.length(0);
+        });
+    });
+  });
+
+  describe('.cache()', function () {
+    var handlerSpy;
+    var authSpy;
+
+    beforeEach(function () {
+      request.method = 'GET';
+      request.originalUrl = '/countries?lang=fi';
+      request.headers = {};
+      handlerSpy = spy(function () {
+        return [{code: 'FI'}];
+      });
+      authSpy = spy(_.constant(true));
+      // Wait for the cache store to connect.
+      return Promise.delay(0);
+    });
+
+    function simulateTwice() {
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          // Wait for the response to be stored.
+          return Promise.delay(0);
+        })
+        .then(function () {
+          response.send = spy(response.send);
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        });
+    }
+
+    it('should fail if used with other than GET routes', function () {
+      expect(function () {
+        router.post('/countries').cache();
+      }).to.throwError();
+    });
+
+    it('should skip the handler but run the auth handlers on a cache hit', function () {
+      router.get('/countries').auth(authSpy).cache().handler(handlerSpy);
+
+      return simulateTwice().then(function () {
+        expect(handlerSpy.calls).to.have.length(1);
+        expect(authSpy.calls).to.have.length(2);
+        expect(response.sentData).to.equal(JSON.stringify([{code: 'FI'}]));
+        expect(_.last(response.set.calls)).to.eql([{'Content-Type': 'application/json'}]);
+      });
+    });
+
+    it('should cache variants separately', function () {
+      router.get('/countries').cache({vary: ['Accept-Language']}).handler(handlerSpy);
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          request.headers['accept-language'] = 'fi';
+          return simulateTwice();
+        })
+        .then(function () {
+          request.headers.accept = 'text/csv';
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(3);
+          expect(response.sentData).to.equal('code\r\nFI\r\n');
+        });
+    });
+
+    it('should call the handler again after the cache is invalidated', function () {
+      router.get('/countries')
+        .cache({key: _.constant('countries')})
+        .handler(handlerSpy);
+
+      return simulateTwice()
+        .then(function () {
+          return router.invalidateCache('countries');
+        })
+        .then(function () {
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(2);
+        });
+    });
+
+    it('should only cache 200 responses', function () {
+      router.get('/countries').cache().handler(function () {
+        handlerSpy();
+        return router.response(202, {pending: true});
+      });
+
+      return simulateTwice().then(function () {
+        expect(handlerSpy.calls).to.have.length(2);
+      });
+    });
+
+    it('should cache the responses of routes that are not public separately for each user', function () {
+      router.get('/countries').cache().handler(handlerSpy);
+      request.user = {id: 1};
+
+      return simulateTwice()
+        .then(function () {
+          request.user = {id: 2};
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(2);
+        });
+    });
+
+    _.each({
+      'public routes': function () {
+        return router.get('/countries').public().cache();
+      },
+      'shared caches': function () {
+        return router.get('/countries').cache({shared: true});
+      }
+    }, function (createRoute, description) {
+      it('should share the responses of ' + description + ' between users', function () {
+        createRoute().handler(handlerSpy);
+        request.user = {id: 1};
+
+        return simulateTwice()
+          .then(function () {
+            request.user = {id: 2};
+            return mockExpressRouter.simulateRequest(request, response, failIfNext);
+          })
+          .then(function () {
+            expect(handlerSpy.calls).to.have.length(1);
+          });
+      });
+    });
+
+    it('should set the Vary header on fresh and cached responses', function () {
+      router.get('/countries').cache({vary: ['Accept-Language']}).handler(handlerSpy);
+
+      return simulateTwice().then(function () {
+        expect(response.vary.calls).to.eql([
+          [['Accept', 'Accept-Language']],
+          [['Accept', 'Accept-Language']]
+        ]);
+      });
+    });
+  });
+
+  describe('.rateLimit()', function () {
+    var handlerSpy;
+
+    beforeEach(function () {
+      request.ip = '10.0.0.1';
+      handlerSpy = spy(_.constant({}));
+      // Wait for the counter store to connect.
+      return Promise.delay(0);
+    });
+
+    function simulateTimes(times, nextSpy) {
+      return Promise.each(_.range(times), function () {
+        response.headersSent = false;
+        return mockExpressRouter.simulateRequest(request, response, nextSpy || failIfNext);
+      });
+    }
+
+    it('should require options.max', function () {
+      expect(function () {
+        router.post('/login').rateLimit({windowSeconds: 10});
+      }).to.throwError(/max/);
+    });
+
+    it('should set RateLimit headers', function () {
+      router.post('/login').rateLimit({max: 5, windowSeconds: 30}).handler(handlerSpy);
+
+      return simulateTimes(2).then(function () {
+        expect(response.set.calls[2]).to.eql([{
+          'RateLimit-Limit': '5',
+          'RateLimit-Remaining': '3',
+          'RateLimit-Reset': '30'
+        }]);
+      });
+    });
+
+    it('should throw 429 with Retry-After header when the limit is exceeded', function () {
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(429);
+      });
+
+      router.post('/login').rateLimit({max: 2}).handler(handlerSpy);
+
+      return simulateTimes(3, nextSpy).then(function () {
+        expect(handlerSpy.calls).to.have.length(2);
+        expect(nextSpy.calls).to.have.length(1);
+        expect(_.last(response.set.calls)).to.eql(['Retry-After', '60']);
+      });
+    });
+
+    it('should count clients separately using the session token of an existing session', function () {
+      router.post('/login').rateLimit({max: 1}).handler(handlerSpy);
+
+      return simulateTimes(1)
+        .then(function () {
+          request.sessionToken = 'token';
+          request.sessionIsNew = false;
+          return simulateTimes(1);
+        })
+        .then(function () {
+          request.sessionToken = 'new-token';
+          request.sessionIsNew = true;
+          return simulateTimes(1, spy());
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(2);
+          expect(_.some(_.keys(router.rateLimiter.store.counters), function (key) {
+            return _.includes(key, 'token');
+          })).to.equal(false);
+        });
+    });
+
+    it('should use the default limit of the router unless disabled', function () {
+      router = new Router(mockExpressRouter, _.constant(true), null, {rateLimit: {max: 1}});
+      router.post('/limited').handler(handlerSpy);
+
+      var nextSpy = spy();
+
+      return simulateTimes(2, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+          router.post('/unlimited').rateLimit(false).handler(handlerSpy);
+          return simulateTimes(2);
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(3);
+        });
+    });
+  });
+
+  describe('.validate()', function () {
+    var schemas = {
+      params: {
+        type: 'object',
+        properties: {
+          id: {type: 'string', pattern: '^\\d+$'}
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: {type: 'string', minLength: 1},
+          species: {enum: ['dog', 'cat']},
+          tags: {type: 'array', items: {type: 'string'}}
+        }
+      }
+    };
+
+    it('should fail if .validate is called after .handler', function () {
+      expect(function () {
+        router.post('/some/path')
+          .handler(function (req, res) {})
+          .validate(schemas);
+      }).to.throwError();
+    });
+
+    it('should fail if an unknown part of the request is validated', function () {
+      expect(function () {
+        router.post('/some/path').validate({cookies: {type: 'object'}});
+      }).to.throwError(/can only validate/);
+    });
+
+    it('should call the handler if the request is valid', function () {
+      request.params = {id: '10'};
+      request.body = {name: 'Fluffy', species: 'cat', tags: ['fat']};
+
+      router.post('/some/path/:id')
+        .validate(schemas)
+        .handler(function (req) {
+          return {id: req.params.id};
+        });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.sentData).to.eql(JSON.stringify({id: '10'}));
+        });
+    });
+
+    it('should throw a ValidationError with a message for each invalid field', function () {
+      var handlerSpy = spy();
+      request.params = {id: 'abc'};
+      request.body = {species: 'cow', tags: ['ok', 1], extra: true};
+
+      router.post('/some/path/:id')
+        .validate(schemas)
+        .handler(handlerSpy);
+
+      var nextSpy = spy(function (err) {
+        expect(err instanceof ValidationError).to.equal(true);
+        expect(err.statusCode).to.equal(400);
+        expect(err.data).to.eql({
+          'params.id': 'should match pattern "^\\d+$"',
+          'body.name': 'is required',
+          'body.species': 'should be one of: dog, cat',
+          'body.tags[1]': 'should be string',
+          'body.extra': 'is not allowed'
+        });
+        expect(handlerSpy.calls).to.have.length(0);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should validate after express middleware and before auth handlers', function () {
+      var order = [];
+      request.body = {};
+
+      router.post('/some/path')
+        .middleware(function (req, res, next) {
+          order.push('middleware');
+          req.body.name = 'from middleware';
+          next();
+        })
+        .validate({body: schemas.body})
+        .auth(function () {
+          order.push('auth');
+          return true;
+        })
+        .handler(function () {
+          order.push('handler');
+          return {};
+        });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(order).to.eql(['middleware', 'auth', 'handler']);
+        });
+    });
+  });
+
   function spy(func) {
     func = func || _.noop;
     var calls = [];
@@ -661,4 +1306,984 @@ describe('Router', function () {
     return wrapper;
   }
 
+  describe('.timeout()', function () {
+
+    it('should cancel the request and call next with 503 error when the time is up', function (done) {
+      var handlerCancelled = false;
+      var afterHandlerCalled = false;
+
+      router
+        .get('/some/path')
+        .timeout(10)
+        .handler(function () {
+          var Cancellable = Promise.getNewLibraryCopy();
+          Cancellable.config({cancellation: true});
+          return new Cancellable(function (resolve, reject, onCancel) {
+            onCancel(function () {
+              handlerCancelled = true;
+            });
+          });
+        });
+
+      response.onEnd = function () {
+        afterHandlerCalled = true;
+      };
+
+      mockExpressRouter.simulateRequest(request, response, function (err) {
+        expect(err).to.be.an(HTTPError);
+        expect(err.statusCode).to.equal(503);
+        setTimeout(function () {
+          expect(handlerCancelled).to.be(true);
+          expect(afterHandlerCalled).to.be(false);
+          done();
+        }, 20);
+      });
+    });
+
+    it('should use the router\'s default timeout', function (done) {
+      router = new Router(mockExpressRouter, _.constant(true), 401, {timeout: 10});
+
+      router
+        .get('/some/path')
+        .handler(function () {
+          return Promise.delay(1000);
+        });
+
+      mockExpressRouter.simulateRequest(request, response, function (err) {
+        expect(err.statusCode).to.equal(503);
+        done();
+      });
+    });
+
+    it('should not time out if the response is sent in time', function () {
+      router
+        .get('/some/path')
+        .timeout(50)
+        .handler(function () {
+          return {some: 'data'};
+        });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          return Promise.delay(80);
+        })
+        .then(function () {
+          expect(response.sentData).to.equal('{"some":"data"}');
+          expect(response.listeners('close')).to.have.length(0);
+        });
+    });
+
+    it('should cancel the request if the client closes the connection', function () {
+      var handlerCalled = false;
+
+      router
+        .get('/some/path')
+        .auth(function () {
+          response.emit('close');
+          return true;
+        })
+        .handler(function () {
+          handlerCalled = true;
+        });
+
+      mockExpressRouter.simulateRequest(request, response, failIfNext);
+
+      return Promise.delay(20).then(function () {
+        expect(handlerCalled).to.be(false);
+        expect(response.send.calls).to.have.length(0);
+      });
+    });
+  });
+  describe('authentication', function () {
+
+    it('should send 401 with a challenge if there is no user', function () {
+      var authHandlerSpy = spy(_.constant(true));
+      var handlerSpy = spy();
+
+      delete request.user;
+      router
+        .get('/some/path')
+        .auth(authHandlerSpy)
+        .handler(handlerSpy);
+
+      var nextSpy = spy(function (err) {
+        expect(err).to.be.an(HTTPError);
+        expect(err).not.to.be.an(AccessError);
+        expect(err.statusCode).to.equal(401);
+        expect(response.set.calls).to.eql([['WWW-Authenticate', 'Token']]);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+          expect(authHandlerSpy.calls).to.have.length(0);
+          expect(handlerSpy.calls).to.have.length(0);
+        });
+    });
+
+    it('should use the configured status code and challenge', function () {
+      delete request.user;
+      router = new Router(mockExpressRouter, _.constant(true), 419, {authenticateChallenge: 'Bearer realm="api"'});
+      router.get('/some/path').handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(419);
+        expect(response.set.calls).to.have.length(0);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should authenticate before validating the request', function () {
+      delete request.user;
+      request.body = {};
+      router
+        .post('/some/path')
+        .validate({body: {type: 'object', required: ['name']}})
+        .handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(401);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should not require a user for public routes', function () {
+      delete request.user;
+      router.get('/some/path').public().handler(_.constant({some: 'data'}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(200);
+        });
+    });
+  });
+  describe('.roles()', function () {
+
+    it('should allow users that have one of the roles', function () {
+      request.user = {role: 'editor'};
+      router.get('/some/path').roles('admin', 'editor').handler(_.constant({some: 'data'}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(200);
+        });
+    });
+
+    it('should send 403 to users that have none of the roles', function () {
+      request.user = {roles: ['viewer']};
+      router.get('/some/path').roles('admin', 'editor').handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err).to.be.an(AccessError);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should use the role resolver of the router', function () {
+      request.user = {groups: ['admin']};
+      router = new Router(mockExpressRouter, _.constant(true), 401, {
+        roleResolver: function (user) {
+          return user.groups;
+        }
+      });
+      var route = router.get('/some/path').roles('admin').handler(_.constant({}));
+
+      expect(route.requiredRoles).to.eql(['admin']);
+      return mockExpressRouter.simulateRequest(request, response, failIfNext);
+    });
+
+    it('should fail if used with a public route in either order', function () {
+      expect(function () {
+        router.get('/some/path').public().roles('admin');
+      }).to.throwError(/can not be used with public/);
+      expect(function () {
+        router.get('/other/path').roles('admin').public();
+      }).to.throwError(/can not be used with roles/);
+    });
+  });
+
+  describe('.can()', function () {
+    var invoice;
+
+    beforeEach(function () {
+      invoice = {id: 1, ownerId: 1};
+      router = new Router(mockExpressRouter, _.constant(true), 401, {
+        policies: {
+          'invoice:update': function (user, resource, req) {
+            expect(req).to.equal(request);
+            return Promise.resolve(resource.ownerId === user.id);
+          }
+        }
+      });
+    });
+
+    it('should throw if the permission has no policy', function () {
+      expect(function () {
+        router.put('/invoices/:id').can('invoice:delete');
+      }).to.throwError(/invoice:delete/);
+    });
+
+    it('should fail if used with a public route in either order', function () {
+      expect(function () {
+        router.put('/invoices/:id').public().can('invoice:update');
+      }).to.throwError(/can not be used with public/);
+      expect(function () {
+        router.put('/invoices/:id').can('invoice:update').public();
+      }).to.throwError(/can not be used with roles/);
+    });
+
+    it('should pass the loaded resource to the policy and the handler', function () {
+      var handlerSpy = spy(function () {
+        return this.resource;
+      });
+
+      request.user = {id: 1};
+      var route = router
+        .put('/invoices/:id')
+        .can('invoice:update', function (req) {
+          return Promise.resolve(invoice);
+        })
+        .handler(handlerSpy);
+
+      expect(route.requiredPermissions).to.eql(['invoice:update']);
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(1);
+          expect(response.sentData).to.equal(JSON.stringify(invoice));
+        });
+    });
+
+    it('should send 403 if the policy refuses', function () {
+      request.user = {id: 2};
+      router.put('/invoices/:id').can('invoice:update', _.constant(invoice)).handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err).to.be.an(AccessError);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should send 404 if the resource is not found', function () {
+      request.user = {id: 1};
+      router.put('/invoices/:id').can('invoice:update', _.constant(null)).handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(404);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+  });
+  describe('.group()', function () {
+
+    it('should prefix the paths of the routes created in the group', function () {
+      var route;
+
+      router.group('/admin', function (admin) {
+        admin.group('/users/', function (users) {
+          route = users.get('/:id').handler(_.noop);
+        });
+      });
+
+      expect(route.path).to.equal('/admin/users/:id');
+      expect(mockExpressRouter.path).to.equal('/admin/users/:id');
+      expect(router.routes).to.eql([route]);
+    });
+
+    it('should not allow RegExp paths in a group', function () {
+      expect(function () {
+        router.group('/admin', function (admin) {
+          admin.get(/^\/users/);
+        });
+      }).to.throwError();
+    });
+
+    it('should install the middleware and auth handlers of the group to its routes', function () {
+      var calls = [];
+      var record = function (name, ret) {
+        return function (req, res, next) {
+          calls.push(name);
+          return next ? next() : ret;
+        };
+      };
+
+      router.use(record('router middleware'));
+      router.group('/admin', function (admin) {
+        admin.use(record('group middleware'));
+        admin.auth(record('group auth', true));
+
+        admin.get('/users')
+          .middleware(record('route middleware'))
+          .auth(record('route auth', true))
+          .handler(_.constant({}));
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(calls).to.eql([
+            'router middleware',
+            'group middleware',
+            'route middleware',
+            'group auth',
+            'route auth'
+          ]);
+        });
+    });
+
+    it('should not affect routes created outside the group', function () {
+      var authHandlerSpy = spy(_.constant(false));
+
+      router.group('/admin', function (admin) {
+        admin.auth(authHandlerSpy);
+      });
+      router.get('/users').handler(_.constant({}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(authHandlerSpy.calls).to.have.length(0);
+        });
+    });
+
+    it('should let routes opt out of the group\'s auth handlers using .public()', function () {
+      router.group('/admin', function (admin) {
+        admin.auth(_.constant(false));
+        admin.get('/status').public().handler(_.constant({}));
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.statusCode).to.equal(200);
+        });
+    });
+  });
+  describe('.name()', function () {
+
+    beforeEach(function () {
+      router = new Router(mockExpressRouter, _.constant(true), 401, {rootPath: '/api/v1'});
+    });
+
+    it('should build urls for named routes', function () {
+      router.get('/users/:id(\\d+)/pets/:petId?').name('user.pets').handler(_.noop);
+      router.get('/users').name('user.list').handler(_.noop);
+
+      expect(router.url('user.pets', {id: 1, petId: 'a b'})).to.equal('/api/v1/users/1/pets/a%20b');
+      expect(router.url('user.pets', {id: 1}, {species: 'cat'})).to.equal('/api/v1/users/1/pets?species=cat');
+      expect(router.url('user.list')).to.equal('/api/v1/users');
+    });
+
+    it('should throw for missing, extra and invalid params', function () {
+      router.get('/users/:id(\\d+)').name('user.detail').handler(_.noop);
+
+      expect(function () {
+        router.url('user.detail');
+      }).to.throwError(/Missing parameter "id"/);
+
+      expect(function () {
+        router.url('user.detail', {id: 1, extra: 2});
+      }).to.throwError(/Unknown parameters extra/);
+
+      expect(function () {
+        router.url('user.detail', {id: 'abc'});
+      }).to.throwError(/must match/);
+
+      expect(function () {
+        router.url('user.unknown');
+      }).to.throwError(/No route named/);
+    });
+
+    it('should share the names between routers', function () {
+      var namedRoutes = {};
+      var router1 = new Router(mockExpressRouter, null, 401, {rootPath: '/v1', namedRoutes: namedRoutes});
+      var router2 = new Router(mockExpressRouter, null, 401, {rootPath: '/v2', namedRoutes: namedRoutes});
+
+      router1.get('/users').name('users');
+
+      expect(router2.url('users')).to.equal('/v1/users');
+      expect(function () {
+        router2.get('/users').name('users');
+      }).to.throwError(/already used by GET \/v1\/users/);
+    });
+
+    it('should add req.urlFor that builds absolute urls', function () {
+      router.get('/users/:id').name('user.detail').handler(_.noop);
+      request.protocol = 'https';
+      request.get = function (header) {
+        return header === 'host' ? 'example.com' : undefined;
+      };
+
+      // The urlFor middleware is installed right before the OPTIONS middleware.
+      _.nth(mockExpressRouter.middlewares, -2)(request, response, _.noop);
+
+      expect(request.urlFor('user.detail', {id: 5})).to.equal('https://example.com/api/v1/users/5');
+    });
+  });
+  describe('.param() and .query()', function () {
+
+    it('should parse path and query parameters before the validation', function () {
+      var handlerSpy = spy(_.constant({}));
+
+      request.params = {id: '12'};
+      request.query = {tags: 'a,b', since: '2017-01-01', page: '2'};
+      router
+        .get('/posts/:id')
+        .param('id', 'int')
+        .query({tags: 'string[]', since: 'date', limit: 'int'})
+        .query({page: function (value) {
+          return {page: value};
+        }})
+        .validate({params: {type: 'object', properties: {id: {type: 'integer', minimum: 1}}}})
+        .handler(handlerSpy);
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(1);
+          expect(request.params.id).to.equal(12);
+          expect(request.query.tags).to.eql(['a', 'b']);
+          expect(request.query.since).to.be.a(Date);
+          expect(request.query.page).to.eql({page: '2'});
+          expect(request.query).not.to.have.key('limit');
+        });
+    });
+
+    it('should send 400 with details if parsing fails', function () {
+      request.params = {id: 'abc'};
+      request.query = {page: 'x'};
+      router
+        .get('/posts/:id')
+        .param('id', 'int')
+        .query({page: 'int'})
+        .handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err).to.be.a(ValidationError);
+        expect(err.data).to.eql({
+          'params.id': 'must be an integer',
+          'query.page': 'must be an integer'
+        });
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should send 404 for invalid path parameters if configured', function () {
+      request.params = {id: 'abc'};
+      router = new Router(mockExpressRouter, _.constant(true), 401, {invalidParamStatusCode: 404});
+      router.get('/posts/:id').param('id', 'uuid').handler(_.noop);
+
+      var nextSpy = spy(function (err) {
+        expect(err.statusCode).to.equal(404);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls).to.have.length(1);
+        });
+    });
+
+    it('should throw for unknown types', function () {
+      expect(function () {
+        router.get('/posts/:id').param('id', 'integer');
+      }).to.throwError();
+
+      expect(function () {
+        router.get('/posts').query({page: 'integer'});
+      }).to.throwError();
+    });
+  });
+  describe('.paginated()', function () {
+    var items;
+    var pages;
+
+    function setHeaders() {
+      return _.find(response.set.calls, function (args) {
+        return _.isPlainObject(args[0]);
+      })[0];
+    }
+
+    beforeEach(function () {
+      items = _.range(10);
+      pages = [];
+      router
+        .get('/items')
+        .paginated({maxPageSize: 5, defaultPageSize: 3})
+        .handler(function () {
+          pages.push(this.page);
+          return {
+            results: items.slice(this.page.offset, this.page.offset + this.page.limit),
+            total: items.length
+          };
+        });
+    });
+
+    it('should read the page from the Range header and send 206 with Content-Range', function () {
+      request.headers = {range: 'items=2-3'};
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(pages).to.eql([{offset: 2, limit: 2}]);
+          expect(response.statusCode).to.equal(206);
+          expect(response.sentData).to.equal('[2,3]');
+          expect(setHeaders()).to.eql({'Accept-Ranges': 'items', 'Content-Range': 'items 2-3/10'});
+        });
+    });
+
+    it('should read the page from the query and limit the page size', function () {
+      request.query = {page: '2', limit: '50'};
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(pages).to.eql([{offset: 5, limit: 5}]);
+          expect(setHeaders()['Content-Range']).to.equal('items 5-9/10');
+        });
+    });
+
+    it('should use the default page size and send 200 if all items fit the page', function () {
+      items = [1, 2];
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(pages).to.eql([{offset: 0, limit: 3}]);
+          expect(response.statusCode).to.equal(200);
+          expect(setHeaders()['Content-Range']).to.equal('items 0-1/2');
+        });
+    });
+
+    it('should fail with 416 if the page starts after the last item', function () {
+      var nextSpy = spy(_.noop);
+      request.headers = {range: 'items=20-24'};
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(nextSpy.calls[0][0]).to.be.a(HTTPError);
+          expect(nextSpy.calls[0][0].statusCode).to.equal(416);
+          expect(response.set.calls).to.eql([['Content-Range', 'items */10']]);
+          expect(response.sentData).to.be(undefined);
+        });
+    });
+
+    it('should fail for invalid ranges and page parameters', function () {
+      var errors = [];
+      var nextSpy = spy(function (err) {
+        errors.push(err);
+      });
+
+      request.headers = {range: 'items=5-2'};
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          request.headers = {};
+          request.query = {page: '0'};
+          return mockExpressRouter.simulateRequest(request, response, nextSpy);
+        })
+        .then(function () {
+          expect(errors[0].statusCode).to.equal(416);
+          expect(errors[1]).to.be.a(ValidationError);
+          expect(errors[1].data).to.eql({'query.page': 'must be a positive integer'});
+        });
+    });
+
+    it('should only be allowed for GET routes', function () {
+      expect(function () {
+        router.post('/items').paginated();
+      }).to.throwError();
+    });
+  });
+  describe('.transactional()', function () {
+    var events;
+    var provider;
+
+    beforeEach(function () {
+      events = [];
+      // Works like knex.transaction(container).
+      provider = {
+        transaction: function (container) {
+          var transaction = {id: 'trx'};
+          events.push('begin');
+          return Promise.resolve(container(transaction)).then(function (value) {
+            events.push('commit');
+            return value;
+          }, function (err) {
+            events.push('rollback');
+            throw err;
+          });
+        }
+      };
+      router = new Router(mockExpressRouter, function (req, transaction) {
+        events.push('auth ' + transaction.id);
+        return true;
+      }, 401, {transactionProvider: provider});
+    });
+
+    it('should require a transaction provider', function () {
+      router = new Router(mockExpressRouter, _.constant(true));
+      expect(function () {
+        router.post('/users').transactional();
+      }).to.throwError(/transactionProvider/);
+    });
+
+    it('should pass the transaction to the auth handlers and the handler and commit after sending', function () {
+      response.onEnd = function () {
+        events.push('send');
+      };
+
+      router
+        .post('/users')
+        .transactional()
+        .handler(function (req, res, next, transaction) {
+          events.push('handler ' + transaction.id);
+          return {id: 1};
+        });
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(events).to.eql(['begin', 'auth trx', 'handler trx', 'send', 'commit']);
+        });
+    });
+
+    it('should roll back before passing the error to next', function () {
+      router
+        .post('/users')
+        .transactional()
+        .handler(function () {
+          return Promise.reject(new Error('failed'));
+        });
+
+      var nextSpy = spy(function (err) {
+        events.push('next ' + err.message);
+      });
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(events).to.eql(['begin', 'auth trx', 'rollback', 'next failed']);
+        });
+    });
+
+    it('should not start a transaction if the request is not authenticated', function () {
+      delete request.user;
+      router.post('/users').transactional().handler(_.noop);
+
+      return mockExpressRouter.simulateRequest(request, response, _.noop)
+        .then(function () {
+          expect(events).to.eql([]);
+        });
+    });
+
+    it('should roll back if the request times out', function (done) {
+      router
+        .post('/users')
+        .transactional()
+        .timeout(10)
+        .handler(function () {
+          return Promise.delay(1000);
+        });
+
+      mockExpressRouter.simulateRequest(request, response, function (err) {
+        expect(err.statusCode).to.equal(503);
+        expect(events).to.eql(['begin', 'auth trx', 'rollback']);
+        done();
+      });
+    });
+  });
+
+  describe('.deprecated()', function () {
+    var logs;
+
+    beforeEach(function () {
+      logs = new MockHandler();
+      LogHub.setHandler(['warning'], /dodo-core-features\.router/, logs);
+    });
+
+    afterEach(function () {
+      LogHub.resetToDefaultLogHandlers();
+    });
+
+    function setHeaders() {
+      return _.find(response.set.calls, function (args) {
+        return _.has(args[0], 'Deprecation');
+      })[0];
+    }
+
+    it('should send the deprecation headers', function () {
+      router
+        .get('/users/:id')
+        .deprecated({
+          since: '2018-01-01T00:00:00Z',
+          sunset: '2100-01-01T00:00:00Z',
+          link: 'https://example.com/migrating',
+          replacement: '/api/v2/users/:id'
+        })
+        .handler(_.constant({id: 1}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(setHeaders()).to.eql({
+            'Deprecation': '@1514764800',
+            'Sunset': 'Fri, 01 Jan 2100 00:00:00 GMT',
+            'Link': '<https://example.com/migrating>; rel="deprecation", </api/v2/users/:id>; rel="successor-version"'
+          });
+          expect(response.sentData).to.equal(JSON.stringify({id: 1}));
+          expect(_.map(logs.logs, 'message')).to.eql(['Deprecated route GET /users/:id was called']);
+        });
+    });
+
+    it('should respond 410 after the sunset if the route is gone', function () {
+      var handlerSpy = spy(_.constant({}));
+      var nextSpy = spy(_.noop);
+
+      router
+        .get('/users/:id')
+        .deprecated({sunset: '2018-01-01T00:00:00Z', gone: true})
+        .handler(handlerSpy);
+
+      return mockExpressRouter.simulateRequest(request, response, nextSpy)
+        .then(function () {
+          expect(setHeaders()['Sunset']).to.equal('Mon, 01 Jan 2018 00:00:00 GMT');
+          expect(nextSpy.calls[0][0].statusCode).to.equal(410);
+          expect(handlerSpy.calls).to.have.length(0);
+          expect(logs.logs).to.eql([]);
+        });
+    });
+
+    it('should keep answering after the sunset unless the route is gone', function () {
+      router
+        .get('/users/:id')
+        .deprecated({sunset: '2018-01-01T00:00:00Z'})
+        .handler(_.constant({id: 1}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(response.sentData).to.equal(JSON.stringify({id: 1}));
+        });
+    });
+
+    it('should log each caller at most once per interval', function () {
+      var route = router.get('/users/:id').deprecated().handler(_.constant({}));
+      request.user = {id: 1};
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          request.user = {id: 2};
+          return mockExpressRouter.simulateRequest(request, response, failIfNext);
+        })
+        .then(function () {
+          var firstLogged = route.deprecationLog_['user:2'];
+          return Promise.delay(5).then(function () {
+            return mockExpressRouter.simulateRequest(request, response, failIfNext);
+          }).then(function () {
+            expect(_.keys(route.deprecationLog_)).to.eql(['user:1', 'user:2']);
+            expect(route.deprecationLog_['user:2']).to.equal(firstLogged);
+            expect(_.map(logs.logs, 'metadata.caller')).to.eql(['user:1', 'user:2']);
+            expect(_.map(logs.logs, 'level')).to.eql(['warning', 'warning']);
+          });
+        });
+    });
+
+    it('should log the user set by the middleware of the route', function () {
+      delete request.user;
+
+      router
+        .get('/users/:id')
+        .middleware(function (req, res, next) {
+          req.user = {id: 3};
+          next();
+        })
+        .deprecated()
+        .handler(_.constant({}));
+
+      return mockExpressRouter.simulateRequest(request, response, failIfNext)
+        .then(function () {
+          expect(_.map(logs.logs, 'metadata.caller')).to.eql(['user:3']);
+        });
+    });
+
+    it('should fail if a gone route has no sunset date', function () {
+      expect(function () {
+        router.get('/users/:id').deprecated({gone: true});
+      }).to.throwError(/sunset/);
+    });
+  });
+
+  describe('.idempotent()', function () {
+    var handlerSpy;
+
+    beforeEach(function () {
+      request.method = 'POST';
+      request.originalUrl = '/payments';
+      request.headers = {'idempotency-key': 'key-1'};
+      request.body = {amount: 10};
+      request.user = {id: 1};
+      handlerSpy = spy(function () {
+        return router.response(201, {id: handlerSpy.calls.length});
+      });
+      // Wait for the store to connect.
+      return Promise.delay(0);
+    });
+
+    function simulate(next) {
+      response.headersSent = false;
+      response.finished = false;
+      return mockExpressRouter.simulateRequest(request, response, next || failIfNext);
+    }
+
+    it('should fail if used with other than POST and PATCH routes', function () {
+      expect(function () {
+        router.put('/payments').idempotent();
+      }).to.throwError();
+    });
+
+    it('should send the stored response to retries without calling the handler', function () {
+      router.post('/payments').idempotent().handler(handlerSpy);
+
+      return simulate()
+        .then(function () {
+          response.status = spy(response.status);
+          response.set = spy(response.set);
+          return simulate();
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(1);
+          expect(response.status.calls).to.eql([[201]]);
+          expect(response.set.calls[0][0]['Idempotent-Replayed']).to.equal('true');
+          expect(response.sentData).to.equal(JSON.stringify({id: 1}));
+        });
+    });
+
+    it('should handle requests without a key normally', function () {
+      delete request.headers['idempotency-key'];
+      router.post('/payments').idempotent().handler(handlerSpy);
+
+      return simulate().then(simulate).then(function () {
+        expect(handlerSpy.calls).to.have.length(2);
+      });
+    });
+
+    it('should scope the keys to the user', function () {
+      router.post('/payments').idempotent().handler(handlerSpy);
+
+      return simulate()
+        .then(function () {
+          request.user = {id: 2};
+          return simulate();
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(2);
+        });
+    });
+
+    it('should scope the keys of anonymous callers to the IP address', function () {
+      router.post('/payments').public().idempotent().handler(handlerSpy);
+      request.user = null;
+      request.ip = '10.0.0.1';
+
+      return simulate()
+        .then(function () {
+          request.ip = '10.0.0.2';
+          return simulate();
+        })
+        .then(function () {
+          return simulate();
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(2);
+          expect(response.sentData).to.equal(JSON.stringify({id: 2}));
+        });
+    });
+
+    it('should keep the key claimed for the timeout of the route unless told otherwise', function () {
+      var store = router.idempotencyCache.store;
+      store.set = spy(store.set);
+      router.post('/payments').idempotent().timeout(90 * 1000).handler(handlerSpy);
+
+      return simulate()
+        .then(function () {
+          router.post('/refunds').idempotent({pendingTtlSeconds: 300}).handler(handlerSpy);
+          request.originalUrl = '/refunds';
+          return simulate();
+        })
+        .then(function () {
+          // The pending claim and the stored response of each request.
+          expect(_.map(store.set.calls, 2)).to.eql([90, 24 * 60 * 60, 300, 24 * 60 * 60]);
+        });
+    });
+
+    it('should fail if the body was never parsed', function () {
+      var nextSpy = spy(_.noop);
+      delete request.body;
+      router.post('/payments').idempotent().handler(handlerSpy);
+
+      return simulate(nextSpy).then(function () {
+        expect(handlerSpy.calls).to.have.length(0);
+        expect(nextSpy.calls[0][0].message).to.match(/needs a body parser/);
+      });
+    });
+
+    it('should respond 422 if the key is reused for a different body', function () {
+      var nextSpy = spy(_.noop);
+      router.post('/payments').idempotent().handler(handlerSpy);
+
+      return simulate()
+        .then(function () {
+          request.body = {amount: 20};
+          return simulate(nextSpy);
+        })
+        .then(function () {
+          expect(handlerSpy.calls).to.have.length(1);
+          expect(nextSpy.calls[0][0].statusCode).to.equal(422);
+        });
+    });
+
+    it('should respond 409 while the first request is being handled', function () {
+      var nextSpy = spy(_.noop);
+      router.post('/payments').idempotent().handler(function () {
+        return Promise.delay(20).return({id: 1});
+      });
+
+      var first = simulate();
+      return Promise.delay(5)
+        .then(function () {
+          return mockExpressRouter.simulateRequest(request, response, nextSpy);
+        })
+        .then(function () {
+          expect(nextSpy.calls[0][0].statusCode).to.equal(409);
+          return first;
+        });
+    });
+
+    it('should release the key if the request fails', function () {
+      var fail = true;
+      router.post('/payments').idempotent().handler(function () {
+        if (fail) {
+          fail = false;
+          return Promise.reject(new Error('failed'));
+        }
+        return handlerSpy();
+      });
+
+      return simulate(_.noop).then(simulate).then(function () {
+        expect(handlerSpy.calls).to.have.length(1);
+        expect(response.sentData).to.equal(JSON.stringify({id: 1}));
+      });
+    });
+  });
 });
@@ -0,0 +1,148 @@
+var _ = require('lodash')
+  , express = require('express')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , Router = require('../router/Router')
+  , inject = require('../inject')
+  , batch = require('../batch');
+
+describe('batch', function () {
+  var app;
+  var running;
+  var maxRunning;
+
+  function createApp(options) {
+    var expressRouter = express.Router();
+    var router = new Router(expressRouter, function (req) {
+      return req.get('x-auth-token') === 'secret';
+    });
+
+    app = express();
+    app.config = {profile: 'production'};
+    app.use(express.json());
+    app.use(function (req, res, next) {
+      // Stands in for token-session.
+      req.user = req.get('x-auth-token') ? {} : null;
+      next();
+    });
+    app.post('/batch', batch.createBatchHandler(app, _.defaults({}, options, {
+      path: '/batch',
+      parallel: false,
+      concurrency: 5,
+      maxItems: 3
+    })));
+    app.use('/api', expressRouter);
+    app.use(function (err, req, res, next) {
+      res.status(err.statusCode || 500).json(err.data || {});
+    });
+
+    router.get('/users/:id')
+      .handler(function (req) {
+        return {id: req.params.id, lang: req.get('accept-language') || null};
+      });
+
+    router.post('/users')
+      .handler(function (req) {
+        return router.response(201, req.body, {Location: '/api/users/1'});
+      });
+
+    router.get('/slow/:id')
+      .public()
+      .handler(function (req) {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        return Promise.delay(5).then(function () {
+          running -= 1;
+          return {id: req.params.id};
+        });
+      });
+  }
+
+  function sendBatch(items) {
+    return inject(app, {
+      method: 'POST',
+      url: '/batch',
+      headers: {'X-Auth-Token': 'secret'},
+      body: items
+    });
+  }
+
+  beforeEach(function () {
+    running = 0;
+    maxRunning = 0;
+  });
+
+  it('should run the items with the headers of the batch request', function () {
+    createApp();
+
+    return sendBatch([
+      {path: '/api/users/1'},
+      {method: 'post', path: '/api/users', body: {name: 'Jennifer'}},
+      {path: '/api/users/2', headers: {'Accept-Language': 'fi'}}
+    ]).then(function (res) {
+      expect(res.statusCode).to.equal(200);
+      expect(_.map(res.body, 'status')).to.eql([200, 201, 200]);
+      expect(res.body[0].body).to.eql({id: '1', lang: null});
+      expect(res.body[1].body).to.eql({name: 'Jennifer'});
+      expect(res.body[1].headers.location).to.equal('/api/users/1');
+      expect(res.body[2].body).to.eql({id: '2', lang: 'fi'});
+    });
+  });
+
+  it('should authenticate each item like a separate request', function () {
+    createApp();
+
+    return sendBatch([
+      {path: '/api/users/1'},
+      {path: '/api/users/1', headers: {'X-Auth-Token': 'wrong'}}
+    ]).then(function (res) {
+      expect(_.map(res.body, 'status')).to.eql([200, 403]);
+    });
+  });
+
+  it('should run the items one after another by default', function () {
+    createApp();
+
+    return sendBatch([{path: '/api/slow/1'}, {path: '/api/slow/2'}, {path: '/api/slow/3'}]).then(function (res) {
+      expect(_.map(res.body, 'body.id')).to.eql(['1', '2', '3']);
+      expect(maxRunning).to.equal(1);
+    });
+  });
+
+  it('should run at most `concurrency` items at the same time in parallel mode', function () {
+    createApp({parallel: true, concurrency: 2});
+
+    return sendBatch([{path: '/api/slow/1'}, {path: '/api/slow/2'}, {path: '/api/slow/3'}]).then(function (res) {
+      expect(_.map(res.body, 'body.id')).to.eql(['1', '2', '3']);
+      expect(maxRunning).to.equal(2);
+    });
+  });
+
+  it('should refuse invalid batches', function () {
+    createApp();
+
+    return Promise.all([
+      sendBatch({path: '/api/users/1'}),
+      sendBatch([{path: '/1'}, {path: '/2'}, {path: '/3'}, {path: '/4'}]),
+      sendBatch([{path: 'api/users/1'}, {method: 'TRACE', path: '/api/users/1'}, {path: '/batch'}])
+    ]).spread(function (notArray, tooMany, invalidItems) {
+      expect(notArray.statusCode).to.equal(400);
+      expect(tooMany.statusCode).to.equal(400);
+      expect(invalidItems.statusCode).to.equal(400);
+      expect(_.keys(invalidItems.body).sort()).to.eql(['body.0.path', 'body.1.method', 'body.2.path']);
+    });
+  });
+
+  it('should refuse items that target the batch endpoint in any form express accepts', function () {
+    createApp();
+
+    return sendBatch([{path: '/BATCH'}, {path: '/batch/'}, {method: 'POST', path: '/Batch/?x=1'}]).then(function (res) {
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.eql({
+        'body.0.path': 'must not be the batch endpoint',
+        'body.1.path': 'must not be the batch endpoint',
+        'body.2.path': 'must not be the batch endpoint'
+      });
+    });
+  });
+});
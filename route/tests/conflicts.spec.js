@@ -0,0 +1,62 @@
+var _ = require('lodash')
+  , expect = require('expect.js')
+  , Router = require('../router/Router')
+  , conflicts = require('../router/conflicts');
+
+describe('conflicts', function () {
+  var router;
+
+  beforeEach(function () {
+    var mockExpressRouter = {
+      get: _.noop,
+      put: _.noop,
+      all: _.noop,
+      use: _.noop
+    };
+    router = new Router(mockExpressRouter, _.constant(true), 401, {rootPath: '/api'});
+  });
+
+  it('should find routes with the same method and path pattern', function () {
+    var route1 = router.get('/users/:id').handler(_.noop);
+    var route2 = router.get('/users/:userId/').handler(_.noop);
+    router.put('/users/:id').handler(_.noop);
+    router.get('/users/:id/pets').handler(_.noop);
+
+    route1.sourceFile = 'routes/users.js';
+    route2.sourceFile = 'legacy/users.js';
+
+    var found = conflicts.findConflicts(router.routes);
+
+    expect(found.duplicates).to.eql([[route1, route2]]);
+    expect(conflicts.describeRoute(route2)).to.equal('GET /api/users/:userId/ (legacy/users.js)');
+  });
+
+  it('should find static routes shadowed by earlier parameterized routes', function () {
+    var param = router.get('/users/:id').handler(_.noop);
+    var shadowed = router.get('/users/me').handler(_.noop);
+    router.get('/pets/mine').handler(_.noop);
+    router.get('/pets/:id').handler(_.noop);
+    router.put('/users/me').handler(_.noop);
+
+    var found = conflicts.findConflicts(router.routes);
+
+    expect(found.duplicates).to.eql([]);
+    expect(found.shadowed).to.eql([{route: shadowed, shadowedBy: param}]);
+  });
+
+  it('should consider all routes to shadow routes of every method', function () {
+    var all = router.all('/users/:id').handler(_.noop);
+    var shadowed = router.put('/users/me').handler(_.noop);
+
+    expect(conflicts.findConflicts(router.routes).shadowed).to.eql([{route: shadowed, shadowedBy: all}]);
+  });
+
+  it('should ignore routes without a handler and RegExp routes', function () {
+    router.get('/users');
+    router.get('/users').handler(_.noop);
+    router.get(/^\/users/).handler(_.noop);
+    router.get(/^\/users/).handler(_.noop);
+
+    expect(conflicts.findConflicts(router.routes).duplicates).to.eql([]);
+  });
+});
@@ -0,0 +1,222 @@
+var _ = require('lodash')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , util = require('util')
+  , express = require('express')
+  , expect = require('expect.js')
+  , LogHub = require('dodo/logger').LogHub
+  , MockHandler = require('dodo/logger').MockHandler
+  , Promise = require('bluebird')
+  , RouteFeature = require('../');
+
+describe('route feature', function () {
+  var dir;
+  var logs;
+  var infoLogs;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-feature-'));
+    logs = new MockHandler();
+    infoLogs = new MockHandler();
+    LogHub.setHandler(['warning', 'error'], /dodo-core-features\.router/, logs);
+    LogHub.setHandler(['info'], /dodo-core-features\.router/, infoLogs);
+  });
+
+  afterEach(function () {
+    LogHub.resetToDefaultLogHandlers();
+    _.forEach(fs.readdirSync(dir), function (fileName) {
+      fs.unwatchFile(path.join(dir, fileName));
+      fs.unlinkSync(path.join(dir, fileName));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  function writeModule(fileName, source) {
+    var filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, source);
+    return filePath;
+  }
+
+  // The registered routes are printed to the console outside the testing profile.
+  function printed(func) {
+    var consoleLog = console.log;
+    var lines = [];
+
+    console.log = function () {
+      lines.push(util.format.apply(util, arguments));
+    };
+
+    try {
+      func();
+    } finally {
+      console.log = consoleLog;
+    }
+
+    return lines;
+  }
+
+  function createApp(profile, config) {
+    var app = express();
+    app.config = {profile: profile};
+    app.use(function (req, res, next) {
+      // Stands in for token-session.
+      req.user = {id: 1};
+      next();
+    });
+    app.feature = new RouteFeature(app, _.assign({routePaths: [path.join(dir, '*.js')]}, config));
+    app.use(function (err, req, res, next) {
+      res.status(err.statusCode || 500).json(err.data || {});
+    });
+    return app;
+  }
+
+  describe('conflict detection', function () {
+    beforeEach(function () {
+      writeModule('a.js', "module.exports = function (router) { router.get('/dup').public().handler(function () { return {module: 'a'}; }); };");
+      writeModule('b.js', "module.exports = function (router) { router.get('/dup').public().handler(function () { return {module: 'b'}; }); };");
+    });
+
+    it('should fail the startup outside development', function () {
+      var app = createApp('testing');
+
+      expect(function () {
+        app.emit('appReady');
+      }).to.throwError(/Conflicting routes: GET \/dup/);
+    });
+
+    it('should only warn in development', function () {
+      var app = createApp('development');
+
+      printed(function () {
+        app.emit('appReady');
+      });
+
+      expect(_.map(logs.logs, 'message')).to.eql([
+        'Conflicting routes: GET /dup (' + path.join(dir, 'a.js') + ') and GET /dup (' + path.join(dir, 'b.js') + '). Only the first one is ever called.'
+      ]);
+    });
+  });
+
+  describe('route modules', function () {
+    it('should not share the middleware and auth handlers of a module with the other modules of a rootPath', function () {
+      writeModule('a.js', [
+        "module.exports = function (router) {",
+        "  router.use(function (req, res, next) { req.module = 'a'; next(); });",
+        "  router.auth(function () { return false; });",
+        "  router.get('/a').handler(function () { return {}; });",
+        "};",
+        "module.exports.rootPath = '/api';"
+      ].join('\n'));
+      writeModule('b.js', [
+        "module.exports = function (router) {",
+        "  router.get('/b').handler(function (req) { return {module: req.module || null}; });",
+        "};",
+        "module.exports.rootPath = '/api';"
+      ].join('\n'));
+
+      var app = createApp('testing', {defaultAuthHandler: _.constant(true)});
+      app.emit('appReady');
+
+      return Promise.all([
+        app.inject({url: '/api/a'}),
+        app.inject({url: '/api/b'})
+      ]).spread(function (a, b) {
+        expect(a.statusCode).to.equal(403);
+        expect(b.statusCode).to.equal(200);
+        expect(b.body).to.eql({module: null});
+      });
+    });
+  });
+
+  describe('reloadRouteModule', function () {
+    var app;
+    var filePath;
+
+    function versionModule(version, rootPath) {
+      return [
+        "module.exports = function (router) {",
+        "  router.get('/version').public().handler(function () { return {version: " + version + "}; });",
+        "};",
+        "module.exports.rootPath = '" + rootPath + "';"
+      ].join('\n');
+    }
+
+    function getVersion(url) {
+      return app.inject({url: url || '/api/version'}).then(function (res) {
+        return res.statusCode === 200 ? res.body.version : res.statusCode;
+      });
+    }
+
+    beforeEach(function () {
+      filePath = writeModule('a.js', versionModule(1, '/api'));
+      writeModule('b.js', [
+        "module.exports = function (router) {",
+        "  router.get('/other').public().handler(function () { return {version: 'b'}; });",
+        "};",
+        "module.exports.rootPath = '/api';"
+      ].join('\n'));
+
+      app = createApp('development');
+      printed(function () {
+        app.emit('appReady');
+      });
+    });
+
+    function reload() {
+      return printed(function () {
+        app.feature.reloadRouteModule(filePath);
+      });
+    }
+
+    it('should replace the routes of the rootPath', function () {
+      return getVersion().then(function (version) {
+        expect(version).to.equal(1);
+
+        writeModule('a.js', versionModule(2, '/api'));
+        expect(reload()).to.have.length(4);
+
+        return Promise.all([getVersion(), getVersion('/api/other')]);
+      }).spread(function (version, other) {
+        expect(version).to.equal(2);
+        expect(other).to.equal('b');
+        expect(logs.logs).to.eql([]);
+        expect(_.map(infoLogs.logs, 'message')).to.eql([
+          'Reloaded routes of /api after a change in ' + filePath
+        ]);
+      });
+    });
+
+    it('should keep the old routes if the module fails to load', function () {
+      writeModule('a.js', 'module.exports = function (router) {');
+      reload();
+
+      return Promise.all([getVersion(), getVersion('/api/other')]).spread(function (version, other) {
+        expect(version).to.equal(1);
+        expect(other).to.equal('b');
+        expect(_.map(logs.logs, 'message')).to.eql([
+          'Failed to reload routes from ' + filePath + '. Keeping the old routes.'
+        ]);
+      });
+    });
+
+    it('should keep the old routes if the rootPath of the module changes', function () {
+      writeModule('a.js', versionModule(2, '/v2'));
+      reload();
+
+      return Promise.all([getVersion(), getVersion('/v2/version')]).spread(function (version, moved) {
+        expect(version).to.equal(1);
+        expect(moved).to.equal(404);
+        expect(_.map(logs.logs, 'message')).to.eql([
+          'The rootPath of ' + filePath + ' changed. Restart the server to move its routes.'
+        ]);
+      });
+    });
+
+    it('should fail for files that are not route modules', function () {
+      expect(function () {
+        app.feature.reloadRouteModule(path.join(dir, 'c.js'));
+      }).to.throwError(/is not a route module/);
+    });
+  });
+});
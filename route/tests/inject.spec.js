@@ -0,0 +1,97 @@
+var _ = require('lodash')
+  , express = require('express')
+  , stream = require('stream')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , Router = require('../router/Router')
+  , inject = require('../inject');
+
+describe('inject', function () {
+  var app;
+
+  beforeEach(function () {
+    var expressRouter = express.Router();
+    var router = new Router(expressRouter, _.constant(true));
+
+    app = express();
+    app.config = {profile: 'production'};
+    // Keeps the final handler from printing the stack of the failing route.
+    app.set('env', 'test');
+    app.use(express.json());
+    app.use('/api', expressRouter);
+
+    router.get('/users/:id')
+      .public()
+      .handler(function (req) {
+        return {id: req.params.id, query: req.query, token: req.get('x-auth-token'), ip: req.ip};
+      });
+
+    router.post('/users')
+      .public()
+      .handler(function (req) {
+        return router.response(201, req.body, {Location: '/api/users/1'});
+      });
+
+    router.get('/stream')
+      .public()
+      .handler(function (req, res) {
+        var readable = new stream.PassThrough();
+        res.set('Content-Type', 'text/plain');
+        readable.write('streamed ');
+        setTimeout(function () {
+          readable.end('text');
+        }, 5);
+        return readable;
+      });
+
+    router.get('/fail')
+      .public()
+      .handler(function () {
+        return Promise.reject(new Error('failed'));
+      });
+  });
+
+  it('should send the request through the express stack', function () {
+    return inject(app, {
+      url: '/api/users/5?expand=pets',
+      headers: {'X-Auth-Token': 'token'}
+    }).then(function (res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.contain('application/json');
+      expect(res.body).to.eql({id: '5', query: {expand: 'pets'}, token: 'token', ip: '127.0.0.1'});
+    });
+  });
+
+  it('should send objects as JSON bodies', function () {
+    return inject(app, {
+      method: 'post',
+      url: '/api/users',
+      body: {name: 'Jennifer'}
+    }).then(function (res) {
+      expect(res.statusCode).to.equal(201);
+      expect(res.headers.location).to.equal('/api/users/1');
+      expect(res.body).to.eql({name: 'Jennifer'});
+    });
+  });
+
+  it('should capture streamed responses', function () {
+    return inject(app, {url: '/api/stream'}).then(function (res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.equal('streamed text');
+    });
+  });
+
+  it('should pass errors and unknown paths to the express final handler', function () {
+    return Promise.all([
+      inject(app, {url: '/api/fail'}),
+      inject(app, {url: '/not/found'}),
+      inject(app, {method: 'HEAD', url: '/api/users/5'})
+    ]).spread(function (failed, notFound, head) {
+      expect(failed.statusCode).to.equal(500);
+      expect(notFound.statusCode).to.equal(404);
+      expect(notFound.body).to.contain('Cannot GET /not/found');
+      expect(head.statusCode).to.equal(200);
+      expect(head.body).to.equal('');
+    });
+  });
+});
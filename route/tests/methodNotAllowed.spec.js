@@ -0,0 +1,83 @@
+var _ = require('lodash')
+  , express = require('express')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , Router = require('../router/Router')
+  , methodNotAllowed = require('../router/methodNotAllowed')
+  , inject = require('../inject');
+
+describe('methodNotAllowed', function () {
+  var app;
+
+  beforeEach(function () {
+    var routers = [
+      new Router(express.Router(), _.constant(true), 401, {rootPath: '/'}),
+      new Router(express.Router(), _.constant(true), 401, {rootPath: '/api'})
+    ];
+
+    app = express();
+    app.config = {profile: 'production'};
+
+    _.forEach(routers, function (router) {
+      app.use(router.rootPath, router.expressRouter);
+    });
+
+    app.use(methodNotAllowed.createMiddleware(_.constant(routers)));
+    app.use(function (err, req, res, next) {
+      res.status(err.statusCode || 500).json(err.data || {});
+    });
+
+    // The methods of /api/users are split between the routers.
+    routers[0].get('/api/users').public().handler(_.constant({router: 0}));
+    routers[1].post('/users').public().handler(_.constant({router: 1}));
+    routers[1].get('/users/:id').public().handler(_.constant({router: 1}));
+    routers[1].all('/anything').public().handler(_.constant({router: 1}));
+    routers[1].options('/custom').public().handler(_.constant({router: 1}));
+  });
+
+  it('should pass requests to the routes of any router', function () {
+    return Promise.all([
+      inject(app, {url: '/api/users'}),
+      inject(app, {method: 'POST', url: '/api/users'}),
+      inject(app, {url: '/API/users/1'})
+    ]).spread(function (get, post, detail) {
+      expect(get.body).to.eql({router: 0});
+      expect(post.body).to.eql({router: 1});
+      expect(detail.body).to.eql({router: 1});
+    });
+  });
+
+  it('should fail with 405 and list the methods of all routers in the Allow header', function () {
+    return inject(app, {method: 'DELETE', url: '/api/users'}).then(function (res) {
+      expect(res.statusCode).to.equal(405);
+      expect(res.headers.allow).to.equal('GET, HEAD, POST, OPTIONS');
+    });
+  });
+
+  it('should answer OPTIONS requests with the Allow header', function () {
+    return inject(app, {method: 'OPTIONS', url: '/api/users/1'}).then(function (res) {
+      expect(res.statusCode).to.equal(204);
+      expect(res.headers.allow).to.equal('GET, HEAD, OPTIONS');
+    });
+  });
+
+  it('should leave OPTIONS requests to the OPTIONS routes', function () {
+    return inject(app, {method: 'OPTIONS', url: '/api/custom'}).then(function (res) {
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.eql({router: 1});
+    });
+  });
+
+  it('should pass requests to unknown paths and paths with an .all() route to the next middleware', function () {
+    return Promise.all([
+      inject(app, {method: 'DELETE', url: '/unknown'}),
+      inject(app, {method: 'DELETE', url: '/apiusers'}),
+      inject(app, {method: 'DELETE', url: '/api/anything'})
+    ]).spread(function (unknown, notUnderRootPath, all) {
+      expect(unknown.statusCode).to.equal(404);
+      expect(unknown.headers.allow).to.be(undefined);
+      expect(notUnderRootPath.statusCode).to.equal(404);
+      expect(all.body).to.eql({router: 1});
+    });
+  });
+});
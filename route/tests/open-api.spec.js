@@ -0,0 +1,149 @@
+var _ = require('lodash')
+  , expect = require('expect.js')
+  , Router = require('../router/Router')
+  , openApi = require('../router/open-api');
+
+describe('open-api', function () {
+  var router;
+
+  beforeEach(function () {
+    var mockExpressRouter = {
+      get: _.noop,
+      post: _.noop,
+      use: _.noop
+    };
+    router = new Router(mockExpressRouter, function () { return true; }, 401, {rootPath: '/api/v1'});
+  });
+
+  it('should register all created routes to the router', function () {
+    var route1 = router.get('/users');
+    var route2 = router.post('/users');
+    expect(router.routes).to.eql([route1, route2]);
+    expect(route1.rootPath).to.equal('/api/v1');
+  });
+
+  it('should describe each route with a handler', function () {
+    router.get('/users/:id(\\d+)')
+      .name('user.detail')
+      .description('Fetches a user')
+      .handler(_.noop);
+
+    router.get('/not/handled');
+
+    var document = openApi.buildDocument([router], {info: {title: 'Test', version: '1.0.0'}});
+
+    expect(document.openapi).to.equal('3.0.0');
+    expect(document.info).to.eql({title: 'Test', version: '1.0.0'});
+    expect(_.keys(document.paths)).to.eql(['/api/v1/users/{id}']);
+    expect(document.paths['/api/v1/users/{id}'].get).to.eql({
+      operationId: 'user.detail',
+      description: 'Fetches a user',
+      parameters: [{name: 'id', in: 'path', required: true, schema: {type: 'string'}}],
+      security: [{tokenSession: []}],
+      responses: {
+        '200': {description: 'Successful response'},
+        '401': {description: 'Not authenticated'},
+        '403': {description: 'Access denied'}
+      }
+    });
+    expect(document.components.securitySchemes.tokenSession.name).to.equal('X-Auth-Token');
+  });
+
+  it('should describe validation schemas as parameters and request body', function () {
+    var bodySchema = {type: 'object', properties: {name: {type: 'string'}}};
+
+    router.post('/users')
+      .public()
+      .validate({
+        query: {type: 'object', required: ['dryRun'], properties: {dryRun: {enum: ['true', 'false']}}},
+        headers: {type: 'object', properties: {'x-client': {type: 'string'}}},
+        body: bodySchema
+      })
+      .handler(_.noop);
+
+    var operation = openApi.buildDocument([router]).paths['/api/v1/users'].post;
+
+    expect(operation.security).to.eql([]);
+    expect(operation.parameters).to.eql([
+      {name: 'dryRun', in: 'query', required: true, schema: {enum: ['true', 'false']}},
+      {name: 'x-client', in: 'header', required: false, schema: {type: 'string'}}
+    ]);
+    expect(operation.requestBody.content['application/json'].schema).to.equal(bodySchema);
+    expect(operation.responses['400']).to.be.ok();
+  });
+
+  it('should list the required roles and permissions', function () {
+    router = new Router({get: _.noop, use: _.noop}, _.constant(true), 401, {
+      policies: {'user:read': _.constant(true)}
+    });
+
+    router.get('/users/:id')
+      .roles('admin')
+      .can('user:read')
+      .handler(_.noop);
+
+    var operation = openApi.buildDocument([router]).paths['/users/{id}'].get;
+
+    expect(operation['x-roles']).to.eql(['admin']);
+    expect(operation['x-permissions']).to.eql(['user:read']);
+  });
+
+  it('should mark deprecated routes', function () {
+    router.get('/users/:id')
+      .deprecated({sunset: '2019-01-01T00:00:00Z'})
+      .handler(_.noop);
+
+    var operation = openApi.buildDocument([router]).paths['/api/v1/users/{id}'].get;
+
+    expect(operation.deprecated).to.be(true);
+    expect(operation['x-sunset']).to.equal('2019-01-01T00:00:00.000Z');
+  });
+
+  it('should describe the types of parsed parameters', function () {
+    router.get('/users/:id')
+      .param('id', 'int')
+      .query({tags: 'string[]'})
+      .handler(_.noop);
+
+    var operation = openApi.buildDocument([router]).paths['/api/v1/users/{id}'].get;
+
+    expect(operation.parameters).to.eql([
+      {name: 'id', in: 'path', required: true, schema: {type: 'integer'}},
+      {name: 'tags', in: 'query', required: false, schema: {type: 'array', items: {type: 'string'}}}
+    ]);
+  });
+
+  it('should describe the parameters of the root path', function () {
+    router = new Router({get: _.noop, use: _.noop}, _.constant(true), 401, {rootPath: '/orgs/:orgId'});
+
+    router.get('/users/:id')
+      .param('id', 'int')
+      .handler(_.noop);
+
+    var operation = openApi.buildDocument([router]).paths['/orgs/{orgId}/users/{id}'].get;
+
+    expect(operation.parameters).to.eql([
+      {name: 'orgId', in: 'path', required: true, schema: {type: 'string'}},
+      {name: 'id', in: 'path', required: true, schema: {type: 'integer'}}
+    ]);
+  });
+
+  it('should describe a path with and without each optional parameter', function () {
+    router.get('/users/:id?/posts/:postId(\\d+)?')
+      .handler(_.noop);
+
+    var document = openApi.buildDocument([router]);
+
+    expect(_.keys(document.paths)).to.eql([
+      '/api/v1/users/posts',
+      '/api/v1/users/{id}/posts',
+      '/api/v1/users/posts/{postId}',
+      '/api/v1/users/{id}/posts/{postId}'
+    ]);
+    expect(_.map(document.paths['/api/v1/users/posts'].get.parameters, 'name')).to.eql([]);
+    expect(document.paths['/api/v1/users/{id}/posts/{postId}'].get.parameters).to.eql([
+      {name: 'id', in: 'path', required: true, schema: {type: 'string'}},
+      {name: 'postId', in: 'path', required: true, schema: {type: 'string'}}
+    ]);
+  });
+});
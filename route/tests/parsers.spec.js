@@ -0,0 +1,56 @@
+var _ = require('lodash')
+  , expect = require('expect.js')
+  , parsers = require('../router/parsers');
+
+describe('parsers', function () {
+
+  function parse(type, value) {
+    return parsers.parserFor(type)(value);
+  }
+
+  it('should parse the built-in types', function () {
+    expect(parse('int', '-42')).to.equal(-42);
+    expect(parse('number', '1.5e3')).to.equal(1500);
+    expect(parse('boolean', 'true')).to.equal(true);
+    expect(parse('boolean', '0')).to.equal(false);
+    expect(parse('uuid', '2F1E1C4A-0B4C-4D7E-9F1A-3B2C1D0E9F8A')).to.equal('2f1e1c4a-0b4c-4d7e-9f1a-3b2c1d0e9f8a');
+    expect(parse('date', '2017-03-01T12:00:00Z').getTime()).to.equal(Date.UTC(2017, 2, 1, 12));
+    expect(parse('string', 'text')).to.equal('text');
+  });
+
+  it('should throw for invalid values', function () {
+    _.forEach([
+      ['int', '12abc', 'must be an integer'],
+      ['int', '1.5', 'must be an integer'],
+      ['number', '', 'must be a number'],
+      ['boolean', 'yes', 'must be true or false'],
+      ['uuid', '1234', 'must be a UUID'],
+      ['date', '1.3.2017', 'must be an ISO 8601 date'],
+      ['date', '2017-02-30T25:00:00Z', 'must be an ISO 8601 date']
+    ], function (test) {
+      expect(function () {
+        parse(test[0], test[1]);
+      }).to.throwError(test[2]);
+    });
+  });
+
+  it('should parse arrays from repeated and comma separated values', function () {
+    expect(parse('int[]', ['1', '2'])).to.eql([1, 2]);
+    expect(parse('int[]', '1,2,3')).to.eql([1, 2, 3]);
+    expect(function () {
+      parse('int[]', '1,x');
+    }).to.throwError('item 1 must be an integer');
+  });
+
+  it('should throw for unknown types', function () {
+    expect(function () {
+      parsers.parserFor('integer');
+    }).to.throwError(/Unknown parameter type "integer"/);
+  });
+
+  it('should describe the types as JSON schemas', function () {
+    expect(parsers.schemaFor('int')).to.eql({type: 'integer'});
+    expect(parsers.schemaFor('uuid[]')).to.eql({type: 'array', items: {type: 'string', format: 'uuid'}});
+    expect(parsers.schemaFor(_.identity)).to.eql({type: 'string'});
+  });
+});
@@ -2,18 +2,28 @@ var express = require('express');
 var app = express();
 
 var http = require('http')
+  , stream = require('stream')
   , expect = require('expect.js')
   , Promise = require('bluebird')
   ;
 
 var Router = require('../router/Router');
+var webSockets = require('../router/webSockets');
+var methodNotAllowed = require('../router/methodNotAllowed');
 var request = require('dodo/http').request;
+var LogHub = require('dodo/logger').LogHub;
+var MockHandler = require('dodo/logger').MockHandler;
 
 app.config = {
   profile: 'production'
 };
 
+// Keeps the final handler from printing the stack of the 405 error.
+app.set('env', 'test');
+
 var somethingFailedAtSomePoint = null;
+var eventChannelClosed = null;
+var limitedConnectionClosed = null;
 
 function testRouter(router, app) {
 
@@ -26,7 +36,8 @@ function testRouter(router, app) {
           somethingFailedAtSomePoint = 'Headers was sent at some point.';
         }
         res.send({ im: 'awesome' });
-        if (!res.headersSent) {
+        // Node 15 and newer don't write the headers if the client has hung up.
+        if (!res.headersSent && !req.socket.destroyed) {
           somethingFailedAtSomePoint = 'res.headersSent was not set :o';
         }
       });
@@ -40,6 +51,77 @@ function testRouter(router, app) {
       });
     });
 
+  router.get('/stream')
+    .public()
+    .handler(function (req, res) {
+      var readable = new stream.PassThrough();
+      res.set('Content-Type', 'text/plain');
+      readable.write('streamed ');
+      setTimeout(function () {
+        readable.end('text');
+      }, 10);
+      return readable;
+    });
+
+  router.get('/iterator')
+    .public()
+    .handler(function () {
+      var values = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      var iterable = {};
+      iterable[Symbol.asyncIterator] = function () {
+        return {
+          next: function () {
+            return Promise.delay(1).then(function () {
+              return values.length ? { value: values.shift(), done: false } : { done: true };
+            });
+          }
+        };
+      };
+      return iterable;
+    });
+
+  router.sse('/events', { heartbeatSeconds: 0 })
+    .public()
+    .handler(function (req, channel) {
+      eventChannelClosed = new Promise(function (resolve) {
+        channel.on('close', resolve);
+      });
+
+      return Promise.delay(5).then(function () {
+        channel.send('resumed', { from: channel.lastEventId }, 2);
+        channel.send(null, 'multi\nline');
+      });
+    });
+
+  router.ws('/echo', { pingSeconds: 0 })
+    .public()
+    .middleware(function (req, res, next) {
+      // Stands in for token-session.
+      req.user = req.query.token === 'secret' ? { id: 1 } : null;
+      next();
+    })
+    .auth(function (req) {
+      return !!req.user;
+    })
+    .handler(function (req, connection) {
+      return connection.receive().then(function (message) {
+        return connection.send({ echo: message, user: req.user.id });
+      });
+    });
+
+  router.ws('/limited', { pingSeconds: 0, maxPayload: 16, maxQueuedMessages: 2 })
+    .public()
+    .handler(function (req, connection) {
+      limitedConnectionClosed = connection.waitForClose();
+      return limitedConnectionClosed;
+    });
+
+  router.ws('/trusted', { pingSeconds: 0, allowedOrigins: ['http://trusted.example'] })
+    .public()
+    .handler(function (req, connection) {
+      return connection.send({ origin: req.get('origin') });
+    });
+
 };
 
 describe('Router integration testing with express running', function () {
@@ -51,10 +133,16 @@ describe('Router integration testing with express running', function () {
     expressRouter = express.Router();
     router = new Router(expressRouter, null, 403);
     app.use('/', expressRouter);
+    app.use(methodNotAllowed.createMiddleware(function () {
+      return [router];
+    }));
     testRouter(router, app);
 
     return new Promise(function (resolve, reject) {
       server = http.createServer(app);
+      server.on('upgrade', webSockets.createUpgradeHandler(app, function () {
+        return [router];
+      }));
       server.listen(function () {
         port = server.address().port;
         resolve();
@@ -70,12 +158,185 @@ describe('Router integration testing with express running', function () {
     server.close();
   });
 
+  // Required here since `ws` doesn't load on Node versions without ES6 classes.
+  function openWebSocket(path, options) {
+    var WebSocket = require('ws');
+
+    return new Promise(function (resolve, reject) {
+      var socket = new WebSocket('ws://localhost:' + port + path, options);
+
+      socket.on('message', function (data) {
+        socket.close();
+        resolve({ message: JSON.parse(data) });
+      });
+      socket.on('unexpected-response', function (req, res) {
+        resolve({ statusCode: res.statusCode });
+      });
+      socket.on('error', reject);
+    });
+  }
+
   it('should start and stop and wait for promise returned from .customResponse() route', function () {
     return requ.get('/awesome').then(function (res) {
       expect(res.body.im).to.be('awesome');
     });
   });
 
+  it('should pipe a stream returned from the handler to the response', function () {
+    return requ.get('/stream').then(function (res) {
+      expect(res.headers['content-type']).to.contain('text/plain');
+      expect(res.body.toString()).to.be('streamed text');
+    });
+  });
+
+  it('should send values of an async iterator as a JSON array', function () {
+    return requ.get('/iterator').then(function (res) {
+      expect(res.headers['content-type']).to.contain('application/json');
+      expect(res.body).to.eql([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+  });
+
+  it('should send values of an async iterator as NDJSON if requested', function () {
+    return requ.get('/iterator').header('Accept', 'application/x-ndjson').then(function (res) {
+      expect(res.headers['content-type']).to.contain('application/x-ndjson');
+      expect(res.body.toString()).to.be('{"id":1}\n{"id":2}\n{"id":3}\n');
+    });
+  });
+
+  it('should respond 405 with the Allow header if the method is not registered for the path', function () {
+    return requ.delete('/normal').then(function (res) {
+      expect(res.statusCode).to.be(405);
+      expect(res.headers['allow']).to.be('GET, HEAD, OPTIONS');
+    });
+  });
+
+  it('should stream Server-Sent Events until the client disconnects', function () {
+    return new Promise(function (resolve, reject) {
+      var req = http.get({
+        port: port,
+        path: '/events',
+        headers: { 'Last-Event-ID': '1' }
+      }, function (res) {
+        var body = '';
+
+        expect(res.statusCode).to.be(200);
+        expect(res.headers['content-type']).to.contain('text/event-stream');
+
+        res.on('data', function (chunk) {
+          body += chunk;
+          if (/data: line\n\n$/.test(body)) {
+            req.abort();
+            resolve(body);
+          }
+        });
+      });
+
+      req.on('error', reject);
+    }).then(function (body) {
+      expect(body).to.be(
+        ': connected\n\n' +
+        'id: 2\nevent: resumed\ndata: {"from":"1"}\n\n' +
+        'data: multi\ndata: line\n\n'
+      );
+      return eventChannelClosed.timeout(1000);
+    });
+  });
+
+  it('should accept a WebSocket upgrade allowed by the auth handlers', function () {
+    var WebSocket = require('ws');
+
+    return new Promise(function (resolve, reject) {
+      var socket = new WebSocket('ws://localhost:' + port + '/echo?token=secret', {
+        origin: 'http://localhost:' + port
+      });
+
+      socket.on('open', function () {
+        socket.send(JSON.stringify({ hello: 'world' }));
+      });
+      socket.on('message', function (data) {
+        socket.close();
+        resolve(JSON.parse(data));
+      });
+      socket.on('error', reject);
+    }).then(function (message) {
+      expect(message).to.eql({ echo: { hello: 'world' }, user: 1 });
+    });
+  });
+
+  it('should refuse a WebSocket upgrade denied by the auth handlers', function () {
+    return openWebSocket('/echo?token=wrong').then(function (result) {
+      expect(result.statusCode).to.be(403);
+    });
+  });
+
+  it('should refuse WebSocket upgrades from other origins', function () {
+    return Promise.all([
+      openWebSocket('/echo?token=secret', { origin: 'http://evil.example' }),
+      openWebSocket('/trusted', { origin: 'http://evil.example' })
+    ]).spread(function (echo, trusted) {
+      expect(echo.statusCode).to.be(403);
+      expect(trusted.statusCode).to.be(403);
+    });
+  });
+
+  it('should accept WebSocket upgrades from the allowed origins and without an origin', function () {
+    return Promise.all([
+      openWebSocket('/trusted', { origin: 'http://trusted.example' }),
+      openWebSocket('/trusted')
+    ]).spread(function (trusted, noOrigin) {
+      expect(trusted.message).to.eql({ origin: 'http://trusted.example' });
+      expect(noOrigin.message).to.eql({});
+    });
+  });
+
+  function closeCodeAfterSending(messages) {
+    var WebSocket = require('ws');
+
+    return new Promise(function (resolve, reject) {
+      var socket = new WebSocket('ws://localhost:' + port + '/limited');
+
+      socket.on('open', function () {
+        messages.forEach(function (message) {
+          socket.send(message);
+        });
+      });
+      socket.on('close', resolve);
+      socket.on('error', reject);
+    }).timeout(1000);
+  }
+
+  it('should close WebSocket connections that send too large messages', function () {
+    var logs = new MockHandler();
+    LogHub.setHandler(['error'], /dodo-core-features\.router/, logs);
+
+    return closeCodeAfterSending([JSON.stringify({ text: 'more than sixteen bytes' })]).then(function () {
+      return limitedConnectionClosed;
+    }).then(function (closed) {
+      expect(closed.code).to.be(1009);
+      expect(logs.logs[0].metadata.error.message).to.be('Max payload size exceeded');
+    }).finally(function () {
+      LogHub.resetToDefaultLogHandlers();
+    });
+  });
+
+  it('should close WebSocket connections whose unread messages exceed the limit', function () {
+    return closeCodeAfterSending(['1', '2', '3']).then(function (code) {
+      expect(code).to.be(1008);
+    });
+  });
+
+  it('should respond 426 to a plain GET request to a WebSocket route', function () {
+    return new Promise(function (resolve, reject) {
+      http.get({ port: port, path: '/echo?token=secret' }, function (res) {
+        res.resume();
+        resolve(res);
+      }).on('error', reject);
+    }).then(function (res) {
+      expect(res.statusCode).to.be(426);
+      expect(res.headers.upgrade).to.be('websocket');
+    });
+  });
+
   it('should never run row that say this should never happen', function () {
     var errorCount = 0;
 
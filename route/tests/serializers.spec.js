@@ -0,0 +1,105 @@
+var expect = require('expect.js')
+  , serializers = require('../router/serializers');
+
+describe('serializers', function () {
+  var mediaTypes = ['application/json', 'text/csv', 'application/xml', 'application/x-ndjson'];
+
+  function request(accept, profile) {
+    return {
+      headers: {accept: accept},
+      app: {config: {profile: profile}}
+    };
+  }
+
+  describe('negotiate()', function () {
+    it('should select the first media type if there is no Accept header', function () {
+      expect(serializers.negotiate({}, mediaTypes)).to.equal('application/json');
+    });
+
+    it('should prefer the most specific match with the highest quality', function () {
+      expect(serializers.negotiate(request('text/csv'), mediaTypes)).to.equal('text/csv');
+      expect(serializers.negotiate(request('text/*'), mediaTypes)).to.equal('text/csv');
+      expect(serializers.negotiate(request('*/*'), mediaTypes)).to.equal('application/json');
+      expect(serializers.negotiate(request('application/json;q=0.5, application/xml'), mediaTypes)).to.equal('application/xml');
+      expect(serializers.negotiate(request('*/*, application/json;q=0'), mediaTypes)).to.equal('text/csv');
+    });
+
+    it('should select the first media type for browser Accept headers', function () {
+      var browserAccept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+      expect(serializers.negotiate(request(browserAccept), mediaTypes)).to.equal('application/json');
+      expect(serializers.negotiate(request('text/*, */*;q=0.5'), mediaTypes)).to.equal('application/json');
+    });
+
+    it('should select a media type named with the highest quality even if the header accepts anything', function () {
+      expect(serializers.negotiate(request('text/csv, */*;q=0.1'), mediaTypes)).to.equal('text/csv');
+      expect(serializers.negotiate(request('application/xml, */*'), mediaTypes)).to.equal('application/xml');
+      expect(serializers.negotiate(request('application/xml;q=0.9, */*;q=0.8'), mediaTypes)).to.equal('application/xml');
+    });
+
+    it('should return null if nothing matches', function () {
+      expect(serializers.negotiate(request('image/png'), mediaTypes)).to.equal(null);
+    });
+  });
+
+  describe('defaults', function () {
+    var data = [{id: 1, name: 'Foo, "the" bar'}, {id: 2, tags: ['a']}];
+
+    it('should serialize JSON and pretty print it in development', function () {
+      var json = serializers.defaults['application/json'];
+      expect(json(data, request(null, 'production'))).to.equal(JSON.stringify(data));
+      expect(json(data, request(null, 'development'))).to.equal(JSON.stringify(data, null, 2));
+    });
+
+    it('should serialize CSV', function () {
+      expect(serializers.defaults['text/csv'](data)).to.equal(
+        'id,name,tags\r\n' +
+        '1,"Foo, ""the"" bar",\r\n' +
+        '2,,"[""a""]"\r\n'
+      );
+    });
+
+    it('should keep spreadsheets from running CSV cells as formulas', function () {
+      var rows = [
+        {formula: '=1+1', plus: '+1', minus: '-1', at: '@SUM(A1)', tab: '\tx', cr: '\rx', number: -1}
+      ];
+
+      expect(serializers.defaults['text/csv'](rows)).to.equal(
+        'formula,plus,minus,at,tab,cr,number\r\n' +
+        "'=1+1,'+1,'-1,'@SUM(A1),'\tx,\"'\rx\",-1\r\n"
+      );
+    });
+
+    it('should serialize XML', function () {
+      expect(serializers.defaults['application/xml']({user: {id: 1, '1st': '<b>'}, list: [1, null]})).to.equal(
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<result><user><id>1</id><_1st>&lt;b&gt;</_1st></user><list><item>1</item><item/></list></result>'
+      );
+    });
+
+    it('should serialize the JSON representation of models in CSV and XML', function () {
+      var model = {
+        id: 1,
+        secret: 'hidden',
+        createdAt: new Date('2017-01-02T03:04:05.000Z'),
+        toJSON: function () {
+          return {id: this.id, createdAt: this.createdAt};
+        }
+      };
+
+      expect(serializers.defaults['text/csv']([model])).to.equal(
+        'id,createdAt\r\n' +
+        '1,2017-01-02T03:04:05.000Z\r\n'
+      );
+      expect(serializers.defaults['application/xml']({user: model})).to.equal(
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<result><user><id>1</id><createdAt>2017-01-02T03:04:05.000Z</createdAt></user></result>'
+      );
+    });
+
+    it('should serialize NDJSON', function () {
+      expect(serializers.defaults['application/x-ndjson'](data)).to.equal(
+        JSON.stringify(data[0]) + '\n' + JSON.stringify(data[1]) + '\n'
+      );
+    });
+  });
+});
@@ -0,0 +1,59 @@
+var _ = require('lodash')
+  , net = require('net')
+  , express = require('express')
+  , expect = require('expect.js')
+  , Router = require('../router/Router')
+  , webSockets = require('../router/webSockets');
+
+describe('webSockets', function () {
+
+  describe('createUpgradeHandler', function () {
+    var handled;
+    var destroyed;
+    var upgrade;
+
+    beforeEach(function () {
+      var router = new Router(express.Router(), _.constant(true), 401, {rootPath: '/api'});
+      var app = {
+        server: {
+          listenerCount: _.constant(1)
+        },
+        handle: function (req) {
+          handled.push(req.url);
+        }
+      };
+
+      router.ws('/echo').public().handler(_.noop);
+      upgrade = webSockets.createUpgradeHandler(app, _.constant([router]));
+      handled = [];
+      destroyed = [];
+    });
+
+    function requestUpgrade(url) {
+      var socket = new net.Socket();
+
+      socket.destroy = function () {
+        destroyed.push(url);
+      };
+
+      upgrade({url: url, headers: {}}, socket, Buffer.alloc(0));
+    }
+
+    it('should handle upgrades of the paths of WebSocket routes in any case', function () {
+      requestUpgrade('/api/echo?token=secret');
+      requestUpgrade('/API/Echo');
+
+      expect(handled).to.eql(['/api/echo?token=secret', '/API/Echo']);
+      expect(destroyed).to.eql([]);
+    });
+
+    it('should destroy the socket of upgrades of other paths', function () {
+      requestUpgrade('/api/echoes');
+      requestUpgrade('/apiecho');
+      requestUpgrade('/api/ech');
+
+      expect(handled).to.eql([]);
+      expect(destroyed).to.eql(['/api/echoes', '/apiecho', '/api/ech']);
+    });
+  });
+});
@@ -29,22 +29,26 @@ var uuid = require('node-uuid')
  *
  * For each request creates a session object and stores it to `req.session`. The session
  * object is persisted between requests using an instance of `config.storeClass`. The
- * session is identified by `config.tokenHeader` request header or cookie.
+ * session is identified by `config.tokenHeader` request header or cookie. If `config.tokenQueryParam`
+ * is given, the token is also read from that query parameter. This is meant for clients that can't
+ * set headers, like browser WebSockets. Note that query strings often end up in access logs.
  *
  * The session object is read from the session store in the beginning of each request
- * and saved as the last thing in the request's lifecycle.
+ * and saved as the last thing in the request's lifecycle. `req.sessionToken` holds the token
+ * of the session and `req.sessionIsNew` is true if the session was created for this request.
  *
  * The `config.storeClass` must be a constructor of a subclass of `./SessionStore`.
  * `config.storeOptions` object will be passed to the `config.storeClass` constructor
  * as a parameter when the store is created.
  *
  * @param {object} app Express.js Application.
- * @param {{storeClass: function, storeOptions: object, tokenHeader:String=}} config
+ * @param {{storeClass: function, storeOptions: object, tokenHeader:String=, tokenQueryParam:String=}} config
  */
 module.exports = function(app, config) {
   var storeClass = config.storeClass
     , storeOptions = config.storeOptions
     , tokenHeader = config.tokenHeader || 'X-Auth-Token'
+    , tokenQueryParam = config.tokenQueryParam || null
     , storeConnected = false
     , store = null
     , self = this;
@@ -72,9 +76,10 @@ module.exports = function(app, config) {
   app.use(function(req, res, next) {
     if (req.session) { return next(); }
     getSession(req)
-      .spread(function(token, sessionData) {
+      .spread(function(token, sessionData, isNew) {
         req.sessionData = sessionData;
         req.sessionToken = token;
+        req.sessionIsNew = isNew;
         req.session = new Session(sessionData);
         // Wrap request.end method with code that saves the session
         // to the session store when the request ends.
@@ -137,6 +142,9 @@ module.exports = function(app, config) {
     if (!token && req.cookies) {
       token = req.cookies[tokenHeader];
     }
+    if (!token && tokenQueryParam && req.query) {
+      token = req.query[tokenQueryParam];
+    }
     if (!storeConnected) {
       console.warn('dodo:auth: not connected to session store (maybe you need to start redis?)');
     }
@@ -154,7 +162,7 @@ module.exports = function(app, config) {
   function createNewSession() {
     var token = uuid.v4();
     var emptySessionData = new Session().toString();
-    return Promise.resolve([token, emptySessionData]);
+    return Promise.resolve([token, emptySessionData, true]);
   }
 
   /**
@@ -166,7 +174,7 @@ module.exports = function(app, config) {
       .get(token)
       .then(function(sessionData) {
         if (sessionData) {
-          return [token, sessionData];
+          return [token, sessionData, false];
         } else {
           // No session found from the store.
           return createNewSession();